@@ -41,6 +41,11 @@ export default [
         TextDecoder: 'readonly',
         Blob: 'readonly',
         FileReader: 'readonly',
+        BroadcastChannel: 'readonly',
+        URLSearchParams: 'readonly',
+        btoa: 'readonly',
+        atob: 'readonly',
+        URL: 'readonly',
       },
       parserOptions: {
         ecmaVersion: 'latest',
@@ -1,11 +1,35 @@
 import { Connection } from './network/connection.js';
+import { BroadcastTransport } from './network/broadcast.js';
+import { parseSignal } from './network/signal.js';
+import { SimulatedTransport, readNetSimConfig } from './network/netsim.js';
 import { GameEngine } from './game/engine.js';
 import { GameRenderer } from './game/renderer.js';
+import { AIController } from './game/ai.js';
+import { InputManager } from './input/input.js';
+import {
+  ACTIONS,
+  bindInput,
+  describeInput,
+  getDefaultBindings,
+  saveBindings,
+} from './input/bindings.js';
 import { generateQRCode, initQRScanner as createQRScanner, clearQRScanner } from './lib/qrcode.js';
 import { $, $$, showScene } from './lib/dom.js';
+import { createSeed } from './lib/random.js';
+import { createJoinLink, readOfferFromLink, clearOfferFromLink } from './lib/link.js';
+import { isDeuce } from './game/match.js';
+import { SETTING_FIELDS, getDefaultSettings, sanitizeSettings } from './game/config.js';
+import { parseReplay, serializeReplay, summarizeReplay } from './game/replay.js';
+import { ReplayPlayer } from './game/playback.js';
+import { downloadFile } from './lib/file.js';
 import settings from './settings.json';
 
 /** @typedef {import('./types/index.js').GameMessage} GameMessage */
+/** @typedef {import('./types/index.js').MatchScore} MatchScore */
+/** @typedef {import('./types/index.js').GameSettings} GameSettings */
+/** @typedef {import('./types/index.js').InputAction} InputAction */
+/** @typedef {import('./types/index.js').InputBindings} InputBindings */
+/** @typedef {import('./types/index.js').Replay} Replay */
 
 // Game state
 /** @type {Connection} */
@@ -15,12 +39,43 @@ let gameEngine = null;
 /** @type {GameRenderer} */
 let gameRenderer = null;
 let isHost = false;
+let isPractice = false;
+/** @type {AIController} */
+let aiController = null;
+/** @type {InputManager} Touch, mouse, tilt, keyboard and gamepad input */
+let inputManager = null;
+/** @type {number} Frame polling the gamepad while the game loop isn't running */
+let gamepadFrameId = null;
+/** @type {(() => void)|null} Stops waiting for the key or button to bind */
+let cancelBindingCapture = null;
 /** @type {number} */
 let animationFrameId = null;
+/** @type {number} */
+let lastFrameTimestamp = null;
 /** @type {any} */
 let hostQrCodeScanner = null;
 /** @type {any} */
 let guestQrCodeScanner = null;
+let isPausedForReconnect = false;
+/** Whether a countdown is running, so a second start request doesn't begin another */
+let isCountingDown = false;
+/** @type {number} Wait before the countdown reaches 2 */
+let countdownTimeoutId = null;
+/** @type {number} Ticks the countdown down once a second */
+let countdownIntervalId = null;
+/** Simulated network conditions, only set when the page was opened with ?netsim */
+const netSimConfig = readNetSimConfig();
+/** @type {Replay|null} The last match played, or a replay loaded from a file */
+let replay = null;
+/** @type {ReplayPlayer|null} Plays the replay while it is being watched */
+let replayPlayer = null;
+/** @type {number} */
+let replayFrameId = null;
+/** @type {number} */
+let lastReplayTimestamp = null;
+/** Match settings chosen by the host, used by both players */
+/** @type {GameSettings} */
+let matchSettings = getDefaultSettings();
 
 /**
  * Initialize the application
@@ -29,12 +84,26 @@ function init() {
   // Set up event listeners
   $('host-btn').addEventListener('click', initHost);
   $('guest-btn').addEventListener('click', initGuest);
+  $('practice-btn').addEventListener('click', initPractice);
   $('submit-offer-btn').addEventListener('click', submitOffer);
   $('submit-answer-btn').addEventListener('click', submitAnswer);
   $('start-game-btn').addEventListener('click', startGame);
 
   // Add event listener for the play again button
   $('play-again-btn')?.addEventListener('click', startGame);
+  $('menu-btn').addEventListener('click', returnToMenu);
+  $('save-replay-btn').addEventListener('click', saveReplay);
+  $('load-replay-input').addEventListener('change', handleReplayFile);
+
+  // Replay viewer controls
+  $('watch-replay-btn').addEventListener('click', watchReplay);
+  $('replay-exit-btn').addEventListener('click', exitReplay);
+  $('replay-play-btn').addEventListener('click', () => replayPlayer?.togglePlay());
+  $('replay-step-back-btn').addEventListener('click', () => replayPlayer?.step(-1));
+  $('replay-step-forward-btn').addEventListener('click', () => replayPlayer?.step(1));
+  $('replay-speed').addEventListener('change', handleReplaySpeed);
+  $('replay-scrub').addEventListener('input', handleReplayScrub);
+  $('replay-flip-btn').addEventListener('click', flipReplay);
   // Add paste event listeners for auto-submit
   $('offer-input').addEventListener('paste', handlePaste);
   $('answer-input').addEventListener('paste', handlePaste);
@@ -50,6 +119,9 @@ function init() {
     showCopyFeedback($('qr-host'));
   });
 
+  // Add event listener for copying the join link
+  $('copy-link-btn')?.addEventListener('click', shareJoinLink);
+
   // Add event listener for QR code click to copy (guest)
   $('qr-guest')?.addEventListener('click', () => {
     copyToClipboard($('answer-data').value);
@@ -58,16 +130,36 @@ function init() {
     showCopyFeedback($('qr-guest'));
   });
 
-  // Set up touch/mouse events for the game
-  $('game-canvas').addEventListener('mousedown', handleTouchStart);
-  $('game-canvas').addEventListener('mousemove', handleTouchMove);
-  $('game-canvas').addEventListener('mouseup', handleTouchEnd);
-  $('game-canvas').addEventListener('touchstart', handleTouchStart);
-  $('game-canvas').addEventListener('touchmove', handleTouchMove);
-  $('game-canvas').addEventListener('touchend', handleTouchEnd);
+  // Set up touch, mouse, keyboard and gamepad input for the game
+  inputManager = new InputManager({ field: $('game-canvas'), onAction: handleInputAction });
+  inputManager.attach();
+  window.addEventListener('gamepadconnected', startGamepadPolling);
+
+  // Controls screen for rebinding keys and buttons
+  $('controls-btn').addEventListener('click', showBindingsScreen);
+  $('bindings-back-btn').addEventListener('click', hideBindingsScreen);
+  $('reset-bindings-btn').addEventListener('click', () => applyBindings(getDefaultBindings()));
+
+  // Tilt steering is only offered where there is an orientation sensor API
+  if ('DeviceOrientationEvent' in window) {
+    $('tilt-option').classList.remove('hidden');
+    $('tilt-toggle').addEventListener('change', handleTiltToggle);
+  }
 
   // Handle window resize
   window.addEventListener('resize', handleResize);
+
+  // Opened with ?netsim, so show the network simulator controls
+  if (netSimConfig) {
+    initNetSimPanel();
+  }
+
+  // Opened from a host's join link, so skip the chooser and join straight away
+  const linkedOffer = readOfferFromLink();
+  if (linkedOffer) {
+    clearOfferFromLink();
+    joinFromLink(linkedOffer);
+  }
 }
 
 /**
@@ -96,6 +188,50 @@ function showCopyFeedback(container) {
   }, 1500);
 }
 
+/**
+ * Create a connection wired to the app's event handlers
+ * @param {boolean} asHost - Whether this client is the host
+ * @returns {Connection} The new connection
+ */
+function createConnection(asHost) {
+  return new Connection({
+    isHost: asHost,
+    onConnected: handleConnectionSuccess,
+    onMessage: handleMessage,
+    onDisconnected: handleDisconnect,
+    onInterrupted: handleConnectionInterrupted,
+    onResumed: handleConnectionResumed,
+    onError: handleConnectionError,
+    wrapTransport: netSimConfig
+      ? transport => new SimulatedTransport(transport, netSimConfig)
+      : undefined,
+  });
+}
+
+/**
+ * Show the network simulator panel and keep the simulator in step with it
+ */
+function initNetSimPanel() {
+  const fields = ['latency', 'jitter', 'loss', 'duplicate', 'reorder'];
+
+  $('netsim-panel').classList.remove('hidden');
+  $('netsim-enabled').checked = netSimConfig.enabled;
+  $('netsim-enabled').addEventListener('change', event => {
+    netSimConfig.enabled = event.target.checked;
+  });
+
+  fields.forEach(field => {
+    const input = $(`netsim-${field}`);
+    input.value = String(netSimConfig.conditions[field]);
+    input.addEventListener('change', () => {
+      const value = Number(input.value);
+      if (Number.isFinite(value) && value >= 0) {
+        netSimConfig.conditions[field] = value;
+      }
+    });
+  });
+}
+
 /**
  * Initialize as host
  */
@@ -103,6 +239,7 @@ async function initHost() {
   isHost = true;
   $('host-btn').disabled = true;
   $('guest-btn').disabled = true;
+  $('practice-btn').disabled = true;
 
   // Hide the connection options
   $('connection-options').classList.add('hidden');
@@ -111,16 +248,20 @@ async function initHost() {
 
   try {
     // Create connection
-    connection = new Connection({
-      isHost: true,
-      onConnected: handleConnectionSuccess,
-      onMessage: handleMessage,
-      onDisconnected: handleDisconnect,
-    });
+    connection = createConnection(true);
+
+    // Pair with another tab on this machine instead of using WebRTC
+    if (isLocalTabsMode()) {
+      $('host-share-section')?.classList.add('hidden');
+      $('host-connection-status').textContent = 'Waiting for a guest tab...';
+      connection.useTransport(new BroadcastTransport({ isHost: true }));
+      return;
+    }
 
     // Initialize as host and get offer data
     const offer = await connection.initAsHost();
     $('offer-data').value = offer;
+    $('join-link').value = createJoinLink(offer);
 
     // Generate QR code
     await generateQRCode(offer, $('qr-host'));
@@ -151,11 +292,11 @@ function initHostQRScanner() {
     console.log(`QR Code detected: ${decodedText}`);
 
     try {
-      // Try to parse the JSON data
-      const jsonData = JSON.parse(decodedText);
-      console.log('Parsed JSON data:', jsonData);
+      // Try to parse the compact or JSON signal
+      const signal = parseSignal(decodedText);
+      console.log('Parsed signal data:', signal);
     } catch (error) {
-      console.log('QR code contains non-JSON data, treating as raw SDP string');
+      console.log('QR code contains no signal data, treating as raw SDP string');
     }
 
     if (isHost) {
@@ -189,22 +330,97 @@ function initHostQRScanner() {
 }
 
 /**
- * Initialize as guest
+ * Share the join link, falling back to copying it
  */
-function initGuest() {
+function shareJoinLink() {
+  const url = $('join-link').value;
+  if (!url) return;
+
+  if (navigator.share) {
+    navigator.share({ title: 'Multi Pong', text: 'Join my Multi Pong game', url }).catch(err => {
+      console.log('Share cancelled:', err);
+    });
+  } else {
+    copyToClipboard(url);
+    showCopyFeedback($('join-link-container'));
+  }
+}
+
+/**
+ * Switch to the guest screen
+ */
+function showGuestScreen() {
   isHost = false;
   $('host-btn').disabled = true;
   $('guest-btn').disabled = true;
+  $('practice-btn').disabled = true;
 
   // Hide the connection options
   $('connection-options').classList.add('hidden');
 
   // Show the guest screen
   showScene('guest-screen');
+}
+
+/**
+ * Join as guest using the offer from a join link
+ * @param {string} offer - The host's offer
+ */
+function joinFromLink(offer) {
+  showGuestScreen();
+
+  $('offer-input').value = offer;
+  submitOffer();
+}
+
+/**
+ * Initialize as guest
+ */
+function initGuest() {
+  showGuestScreen();
+
+  // Pair with a host tab on this machine instead of using WebRTC
+  if (isLocalTabsMode()) {
+    $('guest-offer-section')?.classList.add('hidden');
+    $('guest-answer-output')?.classList.remove('hidden');
+    $('qr-guest')?.classList.add('hidden');
+    $('answer-data')?.classList.add('hidden');
+    $('guest-connection-status').textContent = 'Looking for a host tab...';
+
+    connection = createConnection(false);
+    connection.useTransport(new BroadcastTransport({ isHost: false }));
+    return;
+  }
+
   // Initialize the QR scanner for the guest using the host's scanner implementation
   initHostQRScanner();
 }
 
+/**
+ * Check whether the page was opened with ?transport=broadcast, which connects two tabs on
+ * the same machine over a BroadcastChannel instead of WebRTC
+ * @returns {boolean} Whether local tabs mode is enabled
+ */
+function isLocalTabsMode() {
+  return new URLSearchParams(window.location.search).get('transport') === 'broadcast';
+}
+
+/**
+ * Initialize a practice game against the computer
+ */
+function initPractice() {
+  // The local player takes the host's seat and the AI plays the remote paddle
+  isHost = true;
+  isPractice = true;
+  $('host-btn').disabled = true;
+  $('guest-btn').disabled = true;
+  $('practice-btn').disabled = true;
+
+  aiController = new AIController({ difficulty: $('cpu-difficulty').value });
+
+  startGame();
+}
+
 /**
  * Submit offer as guest
  */
@@ -226,12 +442,7 @@ async function submitOffer() {
 
   try {
     // Initialize the connection as guest
-    connection = new Connection({
-      isHost: false,
-      onConnected: handleConnectionSuccess,
-      onMessage: handleMessage,
-      onDisconnected: handleDisconnect,
-    });
+    connection = createConnection(false);
 
     // Process the offer data
     connection
@@ -314,45 +525,140 @@ function handleConnectionSuccess() {
   if ($('start-game-btn')) {
     $('start-game-btn').disabled = false;
   }
+
+  // The host picks the match settings, the guest sees them read-only
+  renderSettingsPanel();
+  if (isHost) {
+    sendConfig();
+  }
+}
+
+/**
+ * Build the match settings panel on the connection success screen
+ */
+function renderSettingsPanel() {
+  const panel = $('match-settings');
+  if (!panel) return;
+
+  panel.replaceChildren(
+    ...SETTING_FIELDS.map(({ key, label, min, max, step }) => {
+      const row = document.createElement('label');
+      row.className = 'setting-row';
+      row.textContent = label;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.name = key;
+      input.min = String(min);
+      input.max = String(max);
+      input.step = String(step);
+      input.value = String(matchSettings[key]);
+      input.disabled = !isHost;
+      input.addEventListener('change', handleSettingChange);
+
+      row.appendChild(input);
+      return row;
+    })
+  );
+
+  $('match-settings-hint').textContent = isHost
+    ? 'Choose the match settings'
+    : 'The host chooses the match settings';
+}
+
+/**
+ * Update the panel inputs to show the current match settings
+ */
+function updateSettingsPanel() {
+  SETTING_FIELDS.forEach(({ key }) => {
+    const input = /** @type {HTMLInputElement} */ (
+      document.querySelector(`#match-settings input[name="${key}"]`)
+    );
+    if (input) {
+      input.value = String(matchSettings[key]);
+    }
+  });
 }
 
 /**
- * Handle incoming message
+ * Handle the host changing a match setting
+ * @param {Event} event - Input change event
+ */
+function handleSettingChange(event) {
+  const input = /** @type {HTMLInputElement} */ (event.target);
+
+  matchSettings = sanitizeSettings({ ...matchSettings, [input.name]: input.value });
+  updateSettingsPanel();
+  sendConfig();
+}
+
+/**
+ * Send the host's match settings to the guest
+ */
+function sendConfig() {
+  if (!connection || !connection.isConnected) return;
+
+  connection.sendMessage({
+    type: 'config',
+    data: matchSettings,
+  });
+}
+
+/**
+ * Apply match settings received from the host
+ * @param {GameSettings} data - The host's match settings
+ */
+function handleConfig(data) {
+  matchSettings = sanitizeSettings(data);
+  updateSettingsPanel();
+}
+
+/**
+ * Handle incoming message. Messages have already been validated against the protocol.
  * @param {GameMessage} message - The received message
  */
 function handleMessage(message) {
   // Handle messages that should work even without a game engine
+  if (message.type === 'start') {
+    // The guest pressed Ready; only the host picks the seed and starts the countdown
+    if (isHost) {
+      startGame();
+    }
+    return;
+  }
+
   if (message.type === 'startCountdown') {
-    startCountdown(message.data.timestamp);
+    if (isCountingDown) return;
+
+    // The start time is on the sender's clock
+    startCountdown(connection.toLocalTime(message.data.timestamp), message.data.seed);
+    return;
+  }
+
+  if (message.type === 'config') {
+    // Settings only flow from the host to the guest
+    if (!isHost) {
+      handleConfig(message.data);
+    }
     return;
   }
 
   if (gameEngine) {
     switch (message.type) {
       case 'ball':
-        // Guest receives ball data from host and transforms Y components for its view
-        if (message.data) {
-          const receivedBall = message.data;
-          const fieldHeight = settings.fieldHeight; // Use settings
-          const transformedBall = {
-            ...receivedBall, // Copy all properties first
-            y: fieldHeight - receivedBall.y, // Flip Y position
-            velocityY: -receivedBall.velocityY, // Flip Y velocity
-            // x and velocityX remain the same as host's
-          };
-          gameEngine.updateFromRemote({ ball: transformedBall });
-        } else {
-          console.warn('Guest received invalid ball data:', message.data);
-        }
+        gameEngine.updateFromRemote(receiveBall(message.data));
         break;
       case 'paddle':
         // Guest receives paddle data from host
         // Host receives paddle data from guest
-        if (message.data && typeof message.data.x === 'number') {
-          gameEngine.updateFromRemote({ remotePaddle: message.data });
-        } else {
-          console.warn('Received invalid paddle data:', message.data);
-        }
+        // The sample time is on the sender's clock
+        gameEngine.updateFromRemote({
+          remotePaddle: {
+            x: message.data.x,
+            time: connection.toLocalTime(message.data.time),
+            latency: connection.clock.rtt / 2,
+          },
+        });
         break;
       case 'score':
         gameEngine.updateFromRemote({ score: message.data });
@@ -364,17 +670,40 @@ function handleMessage(message) {
         updatePingDisplay(rtt);
         break;
       }
-      case 'start':
-        startGame();
-        break;
       case 'pause':
-        gameEngine.pauseGame();
+        setPaused(true);
         break;
       case 'resume':
-        gameEngine.resumeGame();
+        setPaused(false);
         break;
       case 'gameOver':
-        handleGameOver(message.data.localWon);
+        handleGameOver(message.data.localWon, true);
+        break;
+      case 'instantReplay':
+        // The other player scored the point and holds the serve until the replay is over.
+        // The start time is on the sender's clock.
+        gameEngine.holdBall();
+        showInstantReplay(connection.toLocalTime(message.data.timestamp));
+        break;
+      case 'stateHash':
+        gameEngine.checkRemoteHash(message.data.tick, message.data.hash);
+        break;
+      case 'resyncRequest':
+        // The source of truth answers; if neither player owns the ball, the host does
+        if (gameEngine.isSourceOfTruth() || isHost) {
+          sendResync();
+        }
+        break;
+      case 'resync':
+        // If both players think they own the ball, the host's state wins
+        if (isHost && gameEngine.isSourceOfTruth()) {
+          break;
+        }
+        gameEngine.applyResync({
+          tick: message.data.tick,
+          ...receiveBall(message.data.ball),
+          score: message.data.score,
+        });
         break;
       default:
         console.warn('Unknown message type:', message.type);
@@ -421,14 +750,67 @@ function updatePingDisplay(rtt) {
   }
 }
 
+/**
+ * Handle the connection dropping while the link tries to recover
+ */
+function handleConnectionInterrupted() {
+  $('reconnect-status')?.classList.remove('hidden');
+
+  // Freeze the match so scores and ball state survive the grace period
+  if (gameEngine?.gameState.isPlaying && !gameEngine.gameState.isPaused) {
+    gameEngine.pauseGame();
+    isPausedForReconnect = true;
+  }
+}
+
+/**
+ * Handle the connection recovering after an interruption
+ */
+function handleConnectionResumed() {
+  $('reconnect-status')?.classList.add('hidden');
+
+  if (isPausedForReconnect) {
+    isPausedForReconnect = false;
+    gameEngine.resumeGame();
+
+    // Re-share the ball so both players continue from the same state
+    if (gameEngine.isSourceOfTruth()) {
+      sendBallData(gameEngine.gameState.ball, false);
+    }
+  }
+}
+
 /**
  * Handle disconnection
  */
 function handleDisconnect() {
+  $('reconnect-status')?.classList.add('hidden');
+  isPausedForReconnect = false;
+
   alert('Connection lost. Please refresh and try again.');
   resetConnection();
 }
 
+/**
+ * Handle a connection error the player needs to know about, e.g. mismatched game versions
+ * @param {Error} error - The error
+ */
+function handleConnectionError(error) {
+  $('reconnect-status')?.classList.add('hidden');
+  isPausedForReconnect = false;
+
+  alert(error.message);
+  resetConnection();
+}
+
+/**
+ * Leave practice from the game over screen for the start screen
+ */
+function returnToMenu() {
+  resetConnection();
+  showScene('connection-options');
+}
+
 /**
  * Reset connection state
  */
@@ -438,8 +820,19 @@ function resetConnection() {
     connection = null;
   }
 
+  // A countdown still running would start a game with nobody on the other side
+  stopCountdown();
+
+  // The next opponent may be a different host
+  matchSettings = getDefaultSettings();
+
+  // The next match may be against a person
+  isPractice = false;
+  aiController = null;
+
   $('host-btn').disabled = false;
   $('guest-btn').disabled = false;
+  $('practice-btn').disabled = false;
   $('submit-offer-btn').disabled = false;
   $('submit-answer-btn').disabled = false;
 
@@ -472,18 +865,46 @@ function resetConnection() {
 
   // Reset form fields
   $('offer-data').value = '';
+  $('join-link').value = '';
   $('offer-input').value = '';
   $('answer-input').value = '';
   $('answer-data').value = '';
 }
 
+/**
+ * Get how far ahead to schedule something both players start together, so the message
+ * announcing it arrives in time
+ * @returns {number} Delay in milliseconds
+ */
+function getTransmitDelay() {
+  const transmitTime = connection ? connection.clock.rtt : 0;
+  return Math.max(100, transmitTime);
+}
+
 /**
  * Start the game
  */
 function startGame() {
-  // Calculate a future timestamp for synchronized countdown start
-  // Use a small buffer (100ms) just to account for message transmission
-  const startTimestamp = Date.now() + 100;
+  // Both players may press Ready; the first press starts the countdown
+  if (isCountingDown) return;
+
+  // The host picks the seed, so the guest asks the host to start rather than starting itself
+  if (!isHost && connection && connection.isConnected) {
+    connection.sendMessage({ type: 'start' });
+    return;
+  }
+
+  // Calculate a future timestamp for synchronized countdown start, leaving time for the
+  // message to arrive. The other player converts it to their own clock.
+  const startTimestamp = Date.now() + getTransmitDelay();
+
+  // Both players seed their engines with the same value so serves and bounces match
+  const seed = createSeed();
+
+  // Make sure the guest has the final settings before the countdown begins
+  if (isHost) {
+    sendConfig();
+  }
 
   // First, notify the other player that we want to start the game
   if (connection && connection.isConnected) {
@@ -491,20 +912,26 @@ function startGame() {
       type: 'startCountdown',
       data: {
         timestamp: startTimestamp,
+        seed,
       },
     });
   }
 
   // Start the countdown with the future timestamp
-  startCountdown(startTimestamp);
+  startCountdown(startTimestamp, seed);
 }
 
 /**
  * Start the countdown sequence
  * @param {number} startTimestamp - Timestamp when the countdown should start
+ * @param {number} seed - Random seed shared by both players
  */
-function startCountdown(startTimestamp) {
+function startCountdown(startTimestamp, seed) {
   console.log('Countdown will start at timestamp:', startTimestamp);
+  isCountingDown = true;
+
+  // The other player may start the next match while this one is watching a replay
+  stopReplayViewer();
 
   // Hide the game over screen if it's visible
   $('game-over-screen')?.classList.add('hidden');
@@ -515,6 +942,24 @@ function startCountdown(startTimestamp) {
   $('guest-screen')?.classList.add('hidden');
   $('connection-success').classList.add('hidden');
 
+  // Initialize game engine if not already done, or if the last match was played in another
+  // seat or mode, e.g. practice before hosting
+  if (!gameEngine || gameEngine.isHost !== isHost || gameEngine.isPractice !== isPractice) {
+    gameEngine = new GameEngine({
+      isHost,
+      isPractice,
+      onScoreUpdate: updateScore,
+      onBallOut: handleBallOut,
+      onGameOver: handleGameOver,
+      onStateHash: sendStateHash,
+      onDesync: handleDesync,
+      onInstantReplay: handleInstantReplay,
+    });
+  }
+
+  // Both players play with the host's settings
+  gameEngine.applySettings(matchSettings);
+
   // Show countdown screen
   const countdownScreen = $('countdown-screen');
   const countdownNumber = $('countdown-number');
@@ -535,11 +980,13 @@ function startCountdown(startTimestamp) {
     console.log(`Waiting ${waitTime}ms before continuing countdown`);
 
     // Wait until the specified start time before showing 2
-    setTimeout(() => {
+    countdownTimeoutId = window.setTimeout(() => {
+      countdownTimeoutId = null;
+
       // Count down from 2 to 1
       let count = 2;
 
-      const countdownInterval = setInterval(() => {
+      countdownIntervalId = window.setInterval(() => {
         // Update the countdown number
         countdownNumber.textContent = count.toString();
         countdownNumber.style.animation = 'none';
@@ -550,46 +997,67 @@ function startCountdown(startTimestamp) {
 
         if (count < 0) {
           // Countdown finished
-          clearInterval(countdownInterval);
-          countdownScreen.classList.add('hidden');
-          startGameAfterCountdown();
+          stopCountdown();
+          startGameAfterCountdown(seed);
         }
       }, 1000);
     }, waitTime);
   } else {
     // If countdown elements don't exist, start the game immediately
-    startGameAfterCountdown();
+    startGameAfterCountdown(seed);
   }
 }
 
+/**
+ * Stop the countdown, e.g. when it finishes or the connection goes away before it does
+ */
+function stopCountdown() {
+  clearTimeout(countdownTimeoutId);
+  clearInterval(countdownIntervalId);
+  countdownTimeoutId = null;
+  countdownIntervalId = null;
+  isCountingDown = false;
+
+  $('countdown-screen')?.classList.add('hidden');
+}
+
 /**
  * Start the game after countdown completes
+ * @param {number} seed - Random seed shared by both players
  */
-function startGameAfterCountdown() {
+function startGameAfterCountdown(seed) {
+  isCountingDown = false;
+
   // Show game screen
   $('game-screen').classList.remove('hidden');
+  $('pause-status').classList.add('hidden');
+
+  // Drop input from before the game, and take however the phone is held now as the center
+  // for tilt steering
+  inputManager.reset();
 
   // Disable start button to prevent multiple clicks
   $('start-game-btn').disabled = true;
 
-  // Initialize game engine if not already done
-  if (!gameEngine) {
-    gameEngine = new GameEngine({
-      isHost,
-      onScoreUpdate: updateScore,
-      onBallOut: handleBallOut,
-      onGameOver: handleGameOver,
-    });
-
-    // Initialize game renderer
+  // Initialize game renderer if not already done
+  if (!gameRenderer) {
     gameRenderer = new GameRenderer($('game-canvas'));
 
     // Handle window resize
     handleResize();
   }
 
+  // Instant replays only show points from this match
+  gameRenderer.stopInstantReplay();
+  gameRenderer.clearHistory();
+  $('instant-replay-status').classList.add('hidden');
+
+  // Seed before starting so the first serve is reproducible
+  gameEngine.setSeed(seed);
+
   // Start the game
   gameEngine.startGame();
+  renderScore(gameEngine.getScore());
   if (!isHost) {
     // guest needs to serve the first ball
     sendBallData(gameEngine.gameState.ball, false);
@@ -610,6 +1078,29 @@ function startGameAfterCountdown() {
 function gameLoop(timestamp) {
   if (!gameEngine || !gameRenderer) return;
 
+  const deltaTime = lastFrameTimestamp ? (timestamp - lastFrameTimestamp) / 1000 : 0;
+  lastFrameTimestamp = timestamp;
+
+  inputManager.poll();
+
+  if (gameEngine.gameState.isPlaying && !gameEngine.gameState.isPaused) {
+    // Move the local paddle from whichever input is in use
+    const localPaddle = gameEngine.gameState.localPlayer.paddle;
+    const previousX = localPaddle.x;
+    const nextX = inputManager.update(previousX, deltaTime);
+    if (nextX !== null) {
+      gameEngine.updatePaddlePosition(nextX, true);
+      if (localPaddle.x !== previousX) {
+        sendPaddlePosition();
+      }
+    }
+
+    // In practice mode the AI drives the remote paddle
+    if (aiController) {
+      gameEngine.updatePaddlePosition(aiController.update(gameEngine.gameState, deltaTime), false);
+    }
+  }
+
   const previousBall = { ...gameEngine.gameState.ball };
 
   // Update game state
@@ -629,34 +1120,55 @@ function gameLoop(timestamp) {
     }
   }
 
-  // Render game
-  gameRenderer.render(gameEngine.getGameState());
+  if (gameRenderer.isShowingInstantReplay) {
+    // Slow motion of the rally that just ended, while the next serve is held
+    gameRenderer.renderInstantReplay(gameEngine.gameState.isPaused ? 0 : deltaTime);
+    $('instant-replay-status').classList.toggle('hidden', !gameRenderer.isShowingInstantReplay);
+  } else {
+    // Render game, blending the ball between the last two simulation ticks
+    gameRenderer.render(gameEngine.getGameState(), gameEngine.getRenderInterpolation());
+  }
 
   // Continue loop
   animationFrameId = requestAnimationFrame(gameLoop);
 }
 
+/**
+ * Render the match score in the game HUD
+ * @param {MatchScore} score - Match score from this player's perspective
+ * @param {GameSettings} [scoreSettings] - Settings the match is played with, defaults to the
+ *   current game's
+ */
+function renderScore(score, scoreSettings = gameEngine.gameState.settings) {
+  $('player-score').textContent = String(score.localPoints);
+  $('opponent-score').textContent = String(score.remotePoints);
+  $('player-games').textContent = String(score.localGames);
+  $('opponent-games').textContent = String(score.remoteGames);
+
+  let status = '';
+  if (isDeuce(score, scoreSettings)) {
+    if (score.localPoints === score.remotePoints) {
+      status = 'Deuce';
+    } else {
+      status = score.localPoints > score.remotePoints ? 'Advantage You' : 'Advantage Opponent';
+    }
+  }
+  $('match-status').textContent = status;
+}
+
 /**
  * Update score display
- * @param {number} localScore - Local player score
- * @param {number} remoteScore - Remote player score
+ * @param {MatchScore} score - Match score from this player's perspective
+ * @param {boolean} [fromRemote=false] - Whether the score came from the other player
  */
-function updateScore(localScore, remoteScore) {
-  $('player-score').textContent = String(localScore);
-  $('opponent-score').textContent = String(remoteScore);
+function updateScore(score, fromRemote = false) {
+  renderScore(score);
 
-  // If this client is the host, send the score update to the guest.
-  // The guest's handleMessage will receive this and trigger its own engine/UI update.
-  if (isHost && connection) {
-    // Use the correct method name: sendMessage
+  // Whoever awarded the point tells the other player; the receiver swaps perspective
+  if (!fromRemote && connection) {
     connection.sendMessage({
       type: 'score',
-      // Send the scores as received by this function.
-      // Guest's engine will interpret these based on the host's perspective.
-      data: {
-        local: localScore, // Host's score
-        remote: remoteScore, // Guest's score
-      },
+      data: score,
     });
   }
 
@@ -676,7 +1188,8 @@ function sendBallData(ball, isReturn = false) {
 
   connection.sendMessage({
     type: 'ball',
-    data: ball,
+    // Timestamped so the receiver can fast-forward by the time it spent in flight
+    data: { ...ball, time: Date.now() },
   });
 
   // Only create particle effects and screen shake when the ball is returned
@@ -686,6 +1199,75 @@ function sendBallData(ball, isReturn = false) {
   }
 }
 
+/**
+ * Turn ball data from the other player into this player's view
+ * @param {Object} data - Ball data from a 'ball' or 'resync' message
+ * @returns {{ ball: import('./types/index.js').Ball, ballAge: number }} The ball, and how long
+ *   ago the other player produced it in seconds
+ */
+function receiveBall(data) {
+  // Guest receives ball data from host and transforms Y components for its view
+  const { time, ...receivedBall } = data;
+  const fieldHeight = settings.fieldHeight; // Use settings
+  const ball = {
+    ...receivedBall, // Copy all properties first
+    y: fieldHeight - receivedBall.y, // Flip Y position
+    velocityY: -receivedBall.velocityY, // Flip Y velocity
+    // x and velocityX remain the same as host's
+  };
+
+  // How long ago the sender produced this state, using the synchronized clock
+  const ballAge = (Date.now() - connection.toLocalTime(time)) / 1000;
+
+  return { ball, ballAge };
+}
+
+/**
+ * Send a state hash to the other player for desync detection
+ * @param {number} tick - Simulation tick the hash was taken at
+ * @param {number} hash - State hash
+ */
+function sendStateHash(tick, hash) {
+  if (!connection) return;
+
+  connection.sendMessage({
+    type: 'stateHash',
+    data: { tick, hash },
+  });
+}
+
+/**
+ * Handle the two players' states diverging. The source of truth pushes its state,
+ * the other player asks for it.
+ * @param {Object} snapshot - Diagnostic snapshot from the engine
+ * @param {boolean} snapshot.isSourceOfTruth - Whether this player owns the ball
+ */
+function handleDesync(snapshot) {
+  if (!connection) return;
+
+  if (snapshot.isSourceOfTruth) {
+    sendResync();
+  } else {
+    connection.sendMessage({ type: 'resyncRequest' });
+  }
+}
+
+/**
+ * Send this player's state to the other player as the authority
+ */
+function sendResync() {
+  if (!connection || !gameEngine) return;
+
+  connection.sendMessage({
+    type: 'resync',
+    data: {
+      tick: gameEngine.tick,
+      ball: { ...gameEngine.gameState.ball, time: Date.now() },
+      score: gameEngine.getScore(),
+    },
+  });
+}
+
 /**
  * Handle ball going out of bounds or being returned
  * @param {import('./types/index.js').Ball} ball - Ball data
@@ -713,23 +1295,59 @@ function handleBallOut(ball, isReturn = false, isWallHit = false) {
   }
 }
 
+/**
+ * Show the end of the rally again after this player's engine scored a point, and have the
+ * other player show it too
+ */
+function handleInstantReplay() {
+  const isConnected = connection && connection.isConnected;
+
+  // Start a little later, once the other player has the message, and hold the serve for as
+  // long, so both players watch the same replay and see the serve as it ends
+  const delay = isConnected ? getTransmitDelay() : 0;
+  const startTime = Date.now() + delay;
+  gameEngine.delayServe(delay / 1000);
+  showInstantReplay(startTime);
+
+  if (isConnected) {
+    connection.sendMessage({ type: 'instantReplay', data: { timestamp: startTime } });
+  }
+}
+
+/**
+ * Start the slow-motion instant replay of the last rally
+ * @param {number} startTime - Local time to start playing at. The replay skips ahead if
+ *   this has passed, so it still ends on time.
+ */
+function showInstantReplay(startTime) {
+  if (!gameRenderer) return;
+
+  const { instantReplay } = gameEngine.gameState.settings;
+  const delay = (startTime - Date.now()) / 1000;
+  if (gameRenderer.startInstantReplay(instantReplay, settings.instantReplaySpeed, delay)) {
+    $('instant-replay-status').classList.remove('hidden');
+  }
+}
+
 /**
  * Handle game over
- * @param {boolean} localWon - Whether the local player won
+ * @param {boolean} localWon - Whether the local player won the match
+ * @param {boolean} [fromRemote=false] - Whether the result came from the other player
  */
-function handleGameOver(localWon) {
+function handleGameOver(localWon, fromRemote = false) {
   // Cancel animation frame
   if (animationFrameId) {
     cancelAnimationFrame(animationFrameId);
     animationFrameId = null;
+    lastFrameTimestamp = null;
   }
 
-  // If this is the host, send game over message to guest
-  if (isHost && connection && connection.isConnected) {
+  // Whoever ended the match tells the other player
+  if (!fromRemote && connection && connection.isConnected) {
     connection.sendMessage({
       type: 'gameOver',
       data: {
-        localWon: !localWon, // Invert for guest perspective
+        localWon: !localWon, // Invert for the other player's perspective
       },
     });
   }
@@ -749,8 +1367,13 @@ function handleGameOver(localWon) {
     const gameOverPingStatus = $('game-over-ping-status');
 
     if (finalPlayerScore && finalOpponentScore) {
-      finalPlayerScore.textContent = $('player-score').textContent;
-      finalOpponentScore.textContent = $('opponent-score').textContent;
+      finalPlayerScore.textContent = $('player-games').textContent;
+      finalOpponentScore.textContent = $('opponent-games').textContent;
+    }
+
+    if ($('final-game-score')) {
+      $('final-game-score').textContent =
+        `Last game ${$('player-score').textContent} - ${$('opponent-score').textContent}`;
     }
 
     // Copy ping status to game over screen
@@ -762,6 +1385,9 @@ function handleGameOver(localWon) {
     }
   }
 
+  // Only practice can go back to the menu, as leaving would end a match for the other player
+  $('menu-btn').classList.toggle('hidden', !isPractice);
+
   // Hide game screen
   $('game-screen').classList.add('hidden');
 
@@ -771,82 +1397,444 @@ function handleGameOver(localWon) {
   $('guest-screen').classList.add('hidden');
   $('connection-success').classList.add('hidden');
 
-  // Reset game
+  // Keep the recording of the match before the reset clears the game
   if (gameEngine) {
+    replay = gameEngine.finishReplay(localWon) ?? replay;
+    showReplayStatus();
     gameEngine.resetGame();
   }
 }
 
 /**
- * Handle touch start
- * @param {TouchEvent|MouseEvent} event - Touch or mouse event
+ * Show which replay is ready to save on the game over screen
  */
-function handleTouchStart(event) {
-  if (!gameEngine || !gameEngine.gameState.isPlaying || gameEngine.gameState.isPaused) {
+function showReplayStatus() {
+  $('watch-replay-btn').disabled = !replay;
+  $('save-replay-btn').disabled = !replay;
+  if (!replay) {
+    $('replay-status').textContent = '';
     return;
   }
 
-  event.preventDefault();
+  const { localGames, remoteGames, duration } = summarizeReplay(replay);
+  const date = new Date(replay.recordedAt).toLocaleString();
 
-  handleTouchMove(event); // Pass the event to immediately update position
-  console.log('Touch start');
+  $('replay-status').textContent =
+    `Replay from ${date}: ${localGames} - ${remoteGames} in ${formatDuration(duration)}`;
 }
 
 /**
- * Handle touch/mouse move
- * @param {TouchEvent|MouseEvent} event - Touch or mouse event
+ * Format a length of time as minutes and seconds
+ * @param {number} duration - Length in seconds
+ * @returns {string} e.g. "2:05"
  */
-function handleTouchMove(event) {
-  if (!gameEngine || !gameEngine.gameState.isPlaying || gameEngine.gameState.isPaused) {
-    return;
+function formatDuration(duration) {
+  const minutes = Math.floor(duration / 60);
+  const seconds = String(Math.floor(duration % 60)).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Download the current replay as a JSON file
+ */
+function saveReplay() {
+  if (!replay) return;
+
+  const date = replay.recordedAt.slice(0, 16).replace(/[T:]/g, '-');
+  downloadFile(`multi-pong-replay-${date}.json`, serializeReplay(replay));
+}
+
+/**
+ * Load a replay file chosen by the player
+ * @param {Event} event - Change event from the file input
+ */
+async function handleReplayFile(event) {
+  const input = /** @type {HTMLInputElement} */ (event.target);
+  const file = input.files[0];
+  // Allow choosing the same file again
+  input.value = '';
+  if (!file) return;
+
+  try {
+    replay = parseReplay(await file.text());
+    showReplayStatus();
+  } catch (error) {
+    console.error('Error loading replay:', error);
+    alert('Could not load the replay: ' + error.message);
   }
+}
+
+/**
+ * Watch the current replay in place of the game over screen
+ */
+function watchReplay() {
+  if (!replay) return;
+
+  replayPlayer = new ReplayPlayer(replay);
+  const scrub = /** @type {HTMLInputElement} */ ($('replay-scrub'));
+  scrub.max = String(replayPlayer.duration);
+  /** @type {HTMLSelectElement} */ ($('replay-speed')).value = String(replayPlayer.speed);
+
+  $('game-over-screen').classList.add('hidden');
+  $('game-screen').classList.remove('hidden');
+  $('pause-status').classList.add('hidden');
+  $('game-ping-status').classList.add('hidden');
+  $('replay-controls').classList.remove('hidden');
+
+  if (!gameRenderer) {
+    gameRenderer = new GameRenderer($('game-canvas'));
+    handleResize();
+  }
+  gameRenderer.clearTrails();
+
+  replayPlayer.play();
+  replayFrameId = requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Replay loop, draws the replay at the playhead each frame
+ * @param {number} timestamp - Current timestamp
+ */
+function replayLoop(timestamp) {
+  if (!replayPlayer) return;
+
+  const deltaTime = lastReplayTimestamp ? (timestamp - lastReplayTimestamp) / 1000 : 0;
+  lastReplayTimestamp = timestamp;
+
+  replayPlayer.update(deltaTime);
+
+  const gameState = replayPlayer.getGameState();
+  gameRenderer.render(gameState);
+  renderScore(replayPlayer.getScore(), gameState.settings);
+
+  const tickRate = replayPlayer.replay.tickRate;
+  $('replay-play-btn').textContent = replayPlayer.isPlaying ? 'Pause' : 'Play';
+  /** @type {HTMLInputElement} */ ($('replay-scrub')).value = String(replayPlayer.tick);
+  $('replay-time').textContent =
+    `${formatDuration(replayPlayer.tick / tickRate)} / ${formatDuration(replayPlayer.duration / tickRate)}`;
+
+  replayFrameId = requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Change the playback speed to the one chosen
+ * @param {Event} event - Change event from the speed select
+ */
+function handleReplaySpeed(event) {
+  const select = /** @type {HTMLSelectElement} */ (event.target);
+  replayPlayer?.setSpeed(Number(select.value));
+}
+
+/**
+ * Jump to the point of the replay chosen on the scrub bar
+ * @param {Event} event - Input event from the scrub bar
+ */
+function handleReplayScrub(event) {
+  if (!replayPlayer) return;
+
+  const scrub = /** @type {HTMLInputElement} */ (event.target);
+  replayPlayer.seek(Number(scrub.value));
+  // Trails from before the jump would streak across the field
+  gameRenderer.clearTrails();
+}
+
+/**
+ * Watch the replay from the other player's side
+ */
+function flipReplay() {
+  if (!replayPlayer) return;
+
+  replayPlayer.isFlipped = !replayPlayer.isFlipped;
+  gameRenderer.clearTrails();
+}
+
+/**
+ * Stop watching the replay and go back to the game over screen
+ */
+function exitReplay() {
+  stopReplayViewer();
+  $('game-over-screen').classList.remove('hidden');
+}
+
+/**
+ * Stop the replay viewer if it's open
+ */
+function stopReplayViewer() {
+  if (!replayPlayer) return;
 
-  event.preventDefault();
+  cancelAnimationFrame(replayFrameId);
+  replayFrameId = null;
+  lastReplayTimestamp = null;
+  replayPlayer = null;
+
+  $('replay-controls').classList.add('hidden');
+  $('game-ping-status').classList.remove('hidden');
+  $('game-screen').classList.add('hidden');
+}
+
+/**
+ * Send the local paddle position to the remote player
+ */
+function sendPaddlePosition() {
+  if (!connection) return;
+
+  const localPaddle = gameEngine.getGameState().localPlayer.paddle;
+  connection.sendMessage({
+    type: 'paddle',
+    data: { x: localPaddle.x, time: Date.now() }, // Timestamped for smooth playback
+  });
+}
 
-  let clientX;
-  // Check if it's a touch event
-  if ('touches' in event && event.touches.length > 0) {
-    clientX = event.touches[0].clientX;
-  } else if ('clientX' in event) {
-    // It's a mouse event
-    clientX = event.clientX;
+/**
+ * Pause or resume the match for both players
+ */
+function togglePause() {
+  // A match paused for a reconnect resumes by itself
+  if (!gameEngine?.gameState.isPlaying || isPausedForReconnect) return;
+
+  const paused = !gameEngine.gameState.isPaused;
+  setPaused(paused);
+
+  if (connection && connection.isConnected) {
+    connection.sendMessage({ type: paused ? 'pause' : 'resume' });
+  }
+}
+
+/**
+ * Pause or resume the local game
+ * @param {boolean} paused - Whether the game should be paused
+ */
+function setPaused(paused) {
+  if (paused) {
+    gameEngine.pauseGame();
   } else {
-    // Unknown event type
+    gameEngine.resumeGame();
+
+    // Both players stopped at slightly different times, so continue from the same ball
+    if (gameEngine.isSourceOfTruth()) {
+      sendBallData(gameEngine.gameState.ball, false);
+    }
+  }
+
+  $('pause-status').classList.toggle('hidden', !paused);
+}
+
+/**
+ * Turn tilt steering on or off
+ * @param {Event} event - Change event from the tilt checkbox
+ */
+async function handleTiltToggle(event) {
+  const checkbox = /** @type {HTMLInputElement} */ (event.target);
+
+  if (!checkbox.checked) {
+    inputManager.tilt.disable();
     return;
   }
 
-  // Map screen coordinates to game coordinates
-  const rect = $('game-canvas').getBoundingClientRect();
-  const scaleX = settings.fieldWidth / rect.width;
+  try {
+    checkbox.checked = await inputManager.tilt.enable();
+  } catch (error) {
+    console.error('Error enabling tilt steering:', error);
+    checkbox.checked = false;
+  }
 
-  const gameX = (clientX - rect.left) * scaleX;
+  if (!checkbox.checked) {
+    alert('Tilt steering needs access to the motion sensors.');
+  }
+}
 
-  // Update local paddle position
-  gameEngine.updatePaddlePosition(gameX, true);
+/**
+ * Bindings shown for each action on the controls screen, one column each
+ * @type {{ device: 'keyboard'|'gamepad', slot: number }[]}
+ */
+const BINDING_COLUMNS = [
+  { device: 'keyboard', slot: 0 },
+  { device: 'keyboard', slot: 1 },
+  { device: 'gamepad', slot: 0 },
+];
 
-  // Send local paddle position to remote player
-  if (connection) {
-    const localPaddle = gameEngine.getGameState().localPlayer.paddle;
-    connection.sendMessage({
-      type: 'paddle',
-      data: { x: localPaddle.x }, // Send only the x coordinate
+/**
+ * Show the controls screen
+ */
+function showBindingsScreen() {
+  renderBindingsPanel();
+  showScene('bindings-screen');
+}
+
+/**
+ * Leave the controls screen
+ */
+function hideBindingsScreen() {
+  stopBindingCapture();
+  showScene('connection-options');
+}
+
+/**
+ * Save new key and button bindings and start using them
+ * @param {InputBindings} bindings - The bindings
+ */
+function applyBindings(bindings) {
+  stopBindingCapture();
+  inputManager.setBindings(bindings);
+  saveBindings(bindings);
+  renderBindingsPanel();
+}
+
+/**
+ * Render the current bindings on the controls screen
+ */
+function renderBindingsPanel() {
+  const panel = $('bindings-list');
+  if (!panel) return;
+
+  const header = ['Action', 'Key', 'Key', 'Gamepad'].map(text => {
+    const cell = document.createElement('span');
+    cell.className = 'binding-header';
+    cell.textContent = text;
+    return cell;
+  });
+
+  const rows = ACTIONS.flatMap(({ action, label, rebindable }) => {
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    if (!rebindable) {
+      const fixed = document.createElement('span');
+      fixed.className = 'binding-fixed';
+      fixed.textContent = 'Drag on the field, or tilt';
+      return [name, fixed];
+    }
+
+    const buttons = BINDING_COLUMNS.map(({ device, slot }) => {
+      const input = inputManager.bindings[device][action][slot];
+      const button = document.createElement('button');
+      button.className = 'binding-btn';
+      button.textContent = input === undefined ? '-' : describeInput(device, input);
+      button.addEventListener('click', () => captureBinding(button, device, action, slot));
+      return button;
+    });
+
+    return [name, ...buttons];
+  });
+
+  panel.replaceChildren(...header, ...rows);
+}
+
+/**
+ * Wait for the key or gamepad button to bind to an action. Clicking the binding again
+ * cancels, and Backspace clears a key.
+ * @param {HTMLButtonElement} button - The binding's button on the controls screen
+ * @param {'keyboard'|'gamepad'} device - Device the binding belongs to
+ * @param {InputAction} action - Action to bind
+ * @param {number} slot - Which of the action's inputs to replace
+ */
+function captureBinding(button, device, action, slot) {
+  const wasCapturing = button.classList.contains('capturing');
+  stopBindingCapture();
+  if (wasCapturing) {
+    renderBindingsPanel();
+    return;
+  }
+
+  button.classList.add('capturing');
+  button.textContent = device === 'keyboard' ? 'Press a key' : 'Press a button';
+
+  const bind = input =>
+    applyBindings(bindInput(inputManager.bindings, device, action, slot, input));
+
+  if (device === 'keyboard') {
+    const handleKey = event => {
+      // Keep the key away from the game and the focused button
+      event.preventDefault();
+      event.stopPropagation();
+      bind(event.code === 'Backspace' ? null : event.code);
+    };
+
+    window.addEventListener('keydown', handleKey, { capture: true });
+    cancelBindingCapture = () =>
+      window.removeEventListener('keydown', handleKey, { capture: true });
+    return;
+  }
+
+  // Only a button pressed from now on counts, not one already held
+  const held = new Set(inputManager.gamepad.pressedButtons());
+  let frameId = null;
+
+  const poll = () => {
+    const pressed = inputManager.gamepad.pressedButtons();
+    held.forEach(index => {
+      if (!pressed.includes(index)) held.delete(index);
     });
+
+    const index = pressed.find(button => !held.has(button));
+    if (index === undefined) {
+      frameId = requestAnimationFrame(poll);
+    } else {
+      bind(index);
+    }
+  };
+
+  frameId = requestAnimationFrame(poll);
+  cancelBindingCapture = () => cancelAnimationFrame(frameId);
+}
+
+/**
+ * Stop waiting for a key or button to bind
+ */
+function stopBindingCapture() {
+  if (cancelBindingCapture) {
+    cancelBindingCapture();
+    cancelBindingCapture = null;
   }
 }
 
 /**
- * Handle touch/mouse end
- * @param {TouchEvent|MouseEvent} event - Touch or mouse event
+ * Handle an action that isn't paddle movement
+ * @param {InputAction} action - The action
  */
-function handleTouchEnd(event) {
-  if (!gameEngine || !gameEngine.gameState.isPlaying || gameEngine.gameState.isPaused) {
+function handleInputAction(action) {
+  // Keys and buttons pressed while rebinding shouldn't also act
+  if (cancelBindingCapture) return;
+
+  // Pause plays and pauses a replay being watched
+  if (replayPlayer) {
+    if (action === 'pause') replayPlayer.togglePlay();
     return;
   }
 
-  event.preventDefault();
+  if (action === 'pause') {
+    togglePause();
+  } else if (action === 'ready') {
+    pressReady();
+  }
+}
+
+/**
+ * Press whichever Ready or Again button is on screen
+ */
+function pressReady() {
+  const button = [$('start-game-btn'), $('play-again-btn')].find(
+    element => element && !element.closest('.hidden')
+  );
+
+  // click() does nothing on a disabled button
+  button?.click();
+}
+
+/**
+ * Poll the gamepad every frame while the game loop isn't running, so its buttons work on
+ * the menus too
+ */
+function startGamepadPolling() {
+  if (gamepadFrameId) return;
 
-  // No action needed on touch end for simple paddle movement
-  console.log('Touch end');
+  const poll = () => {
+    if (!animationFrameId) {
+      inputManager.poll();
+    }
+    gamepadFrameId = requestAnimationFrame(poll);
+  };
+  gamepadFrameId = requestAnimationFrame(poll);
 }
 
 /**
@@ -954,21 +1942,17 @@ function handlePaste(event) {
 
   setTimeout(() => {
     try {
-      const parsedJson = JSON.parse(pastedText);
+      const signal = parseSignal(pastedText);
 
-      if (typeof parsedJson === 'object' && parsedJson !== null) {
-        if (event.target === $('offer-input') && parsedJson.type === 'offer' && parsedJson.sdp) {
+      if (typeof signal === 'object' && signal !== null) {
+        if (event.target === $('offer-input') && signal.type === 'offer' && signal.sdp) {
           $('submit-offer-btn').click();
-        } else if (
-          event.target === $('answer-input') &&
-          parsedJson.type === 'answer' &&
-          parsedJson.sdp
-        ) {
+        } else if (event.target === $('answer-input') && signal.type === 'answer' && signal.sdp) {
           $('submit-answer-btn').click();
         }
       }
     } catch (e) {
-      console.log('Pasted content is not valid JSON');
+      console.log('Pasted content is not valid signal data');
     }
   }, 0);
 }
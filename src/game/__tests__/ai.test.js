@@ -0,0 +1,108 @@
+import { AIController } from '../ai.js';
+import settings from '../../settings.json';
+
+const { easy } = settings.ai.difficulties;
+
+/**
+ * Create a game state with the AI paddle at the top
+ * @param {Partial<import('../../types/index.js').Ball>} ball - The ball
+ * @param {number} [paddleX] - AI paddle x position
+ * @returns {import('../../types/index.js').GameState} The game state
+ */
+function gameStateWith(ball, paddleX = 300) {
+  return /** @type {any} */ ({
+    ball: { x: 300, y: 400, radius: 10, velocityX: 0, velocityY: -300, speed: 300, ...ball },
+    remotePlayer: { paddle: { x: paddleX, y: 40, width: 100, height: 20 } },
+  });
+}
+
+/**
+ * Create an AI whose prediction error is a fixed fraction of the maximum
+ * @param {string} difficulty - Difficulty level name
+ * @param {number} [random] - Value the random source always returns
+ * @returns {AIController} The AI
+ */
+function createAI(difficulty, random = 0.5) {
+  return new AIController({ difficulty, random: () => random });
+}
+
+describe('AIController', () => {
+  test('heads for where the ball reaches its paddle', () => {
+    const ai = createAI('hard');
+
+    // The ball reaches the paddle face (y 60) after 340 / 300 s
+    const x = ai.update(gameStateWith({ velocityX: 100 }), 10);
+
+    expect(x).toBeCloseTo(300 + (100 * 340) / 300);
+  });
+
+  test('folds the predicted path back off the side walls', () => {
+    const ai = createAI('hard');
+
+    // Straight on, the ball would end at x 980: it hits the right wall (590) and comes back
+    const x = ai.update(gameStateWith({ velocityX: 600 }), 10);
+
+    expect(x).toBeCloseTo(200);
+  });
+
+  test('folds off both walls for steep angles', () => {
+    const ai = createAI('hard');
+
+    // Unfolded x is 300 - 2000 = -1700: off the left wall, the right wall, then the left again
+    const x = ai.update(gameStateWith({ velocityX: (-2000 * 300) / 340 }), 10);
+
+    expect(x).toBeCloseTo(lateralFold(300 - 2000));
+  });
+
+  test('misses by up to the prediction error', () => {
+    const low = createAI('easy', 0).update(gameStateWith({}), 10);
+    const high = createAI('easy', 0.999999).update(gameStateWith({}), 10);
+
+    expect(low).toBeCloseTo(300 - easy.predictionError);
+    expect(high).toBeCloseTo(300 + easy.predictionError, 3);
+  });
+
+  test('moves no faster than the max paddle speed', () => {
+    const ai = createAI('easy');
+
+    const x = ai.update(gameStateWith({ velocityX: 200 }), 0.1);
+
+    expect(x).toBeCloseTo(300 + easy.maxPaddleSpeed * 0.1);
+  });
+
+  test('only reacts to the ball again after the reaction delay', () => {
+    const ai = createAI('easy');
+    ai.update(gameStateWith({ velocityX: 100 }, 300), 0.01);
+    const firstTarget = ai.targetX;
+
+    // The ball changes course, but the AI hasn't noticed yet
+    ai.update(gameStateWith({ velocityX: -100 }), easy.reactionDelay * 0.6);
+    expect(ai.targetX).toBe(firstTarget);
+
+    ai.update(gameStateWith({ velocityX: -100 }), easy.reactionDelay * 0.6);
+    expect(ai.targetX).toBeCloseTo(300 - (100 * 340) / 300);
+  });
+
+  test('drifts back to the center while the ball heads away', () => {
+    const ai = createAI('hard');
+
+    const x = ai.update(gameStateWith({ velocityY: 300 }, 100), 10);
+
+    expect(x).toBe(settings.fieldWidth / 2);
+  });
+});
+
+/**
+ * Reflect an unfolded x position off the side walls for a ball of radius 10, step by step
+ * @param {number} x - Unfolded x position
+ * @returns {number} Position in the field
+ */
+function lateralFold(x) {
+  const left = 10;
+  const right = settings.fieldWidth - 10;
+  let position = x;
+  while (position < left || position > right) {
+    position = position < left ? 2 * left - position : 2 * right - position;
+  }
+  return position;
+}
@@ -0,0 +1,75 @@
+import { timeToWall, timeToPaddle, advanceBall } from '../collision.js';
+import settings from '../../settings.json';
+
+/** A paddle near the bottom of the field */
+const PADDLE = { x: 300, y: 1040, width: 100, height: 20 };
+
+/**
+ * Create a ball
+ * @param {Partial<import('../../types/index.js').Ball>} ball - Position and velocity
+ * @returns {import('../../types/index.js').Ball} The ball
+ */
+function ballWith(ball) {
+  return { x: 300, y: 500, radius: 10, velocityX: 0, velocityY: 0, speed: 0, ...ball };
+}
+
+describe('timeToPaddle', () => {
+  test('finds the hit even when one step would carry the ball past the paddle', () => {
+    const ball = ballWith({ velocityY: settings.maxBallSpeed });
+    const step = settings.maxFrameTime;
+
+    const time = timeToPaddle(ball, PADDLE);
+
+    // Checking only where the ball ends up would miss the paddle entirely
+    expect(ball.y + ball.velocityY * step).toBeGreaterThan(PADDLE.y + PADDLE.height / 2);
+    expect(time).toBeLessThan(step);
+    advanceBall(ball, time);
+    expect(ball.y).toBeCloseTo(PADDLE.y - PADDLE.height / 2 - ball.radius);
+  });
+
+  test('counts a hit on the corner of the paddle', () => {
+    // The ball reaches the face 520px down at x 240.1, with its edge just over the paddle
+    const ball = ballWith({ x: 292.1, velocityX: -100, velocityY: 1000 });
+
+    expect(timeToPaddle(ball, PADDLE)).toBeCloseTo(0.52);
+  });
+
+  test('misses when the ball clears the corner', () => {
+    const ball = ballWith({ x: 291.9, velocityX: -100, velocityY: 1000 });
+
+    expect(timeToPaddle(ball, PADDLE)).toBe(Infinity);
+  });
+
+  test('misses a paddle the ball passes beside', () => {
+    const ball = ballWith({ x: 100, velocityY: settings.maxBallSpeed });
+
+    expect(timeToPaddle(ball, PADDLE)).toBe(Infinity);
+  });
+
+  test('misses a paddle the ball moves away from', () => {
+    const ball = ballWith({ velocityY: -settings.maxBallSpeed });
+
+    expect(timeToPaddle(ball, PADDLE)).toBe(Infinity);
+  });
+
+  test('hits at once when the paddle was moved into the ball', () => {
+    const ball = ballWith({ y: PADDLE.y - 15, velocityY: 500 });
+
+    expect(timeToPaddle(ball, PADDLE)).toBe(0);
+  });
+});
+
+describe('timeToWall', () => {
+  test('finds when the ball touches the wall it heads for', () => {
+    expect(timeToWall(ballWith({ velocityX: 100 }), 600)).toBeCloseTo(2.9);
+    expect(timeToWall(ballWith({ velocityX: -100 }), 600)).toBeCloseTo(2.9);
+  });
+
+  test('never reaches a wall when moving straight up or down', () => {
+    expect(timeToWall(ballWith({ velocityY: 100 }), 600)).toBe(Infinity);
+  });
+
+  test('hits at once when the ball is already past the wall', () => {
+    expect(timeToWall(ballWith({ x: 595, velocityX: 100 }), 600)).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+import { SETTING_FIELDS, getDefaultSettings, sanitizeSettings } from '../config.js';
+
+describe('sanitizeSettings', () => {
+  test('keeps settings that are already in range', () => {
+    const values = {
+      ...getDefaultSettings(),
+      winScore: 11,
+      winBy: 1,
+      bestOf: 5,
+      initialBallSpeed: 600,
+    };
+
+    expect(sanitizeSettings(values)).toEqual(values);
+  });
+
+  test.each(SETTING_FIELDS.map(field => [field.key, field]))(
+    'clamps %s to the range the panel allows',
+    (key, { min, max }) => {
+      expect(sanitizeSettings({ [key]: min - 1000 })[key]).toBeGreaterThanOrEqual(min);
+      expect(sanitizeSettings({ [key]: max + 1000 })[key]).toBeLessThanOrEqual(max);
+    }
+  );
+
+  test('falls back to the defaults for missing and non-numeric values', () => {
+    const defaults = getDefaultSettings();
+
+    expect(sanitizeSettings(undefined)).toEqual(defaults);
+    expect(sanitizeSettings({})).toEqual(defaults);
+    expect(
+      sanitizeSettings({ winScore: 'lots', bestOf: null, paddleWidth: NaN, ballRadius: Infinity })
+    ).toEqual({ ...defaults, bestOf: 1 });
+  });
+
+  test('rounds to whole numbers and accepts numeric strings', () => {
+    expect(sanitizeSettings({ winScore: '7', paddleWidth: 101.6 })).toMatchObject({
+      winScore: 7,
+      paddleWidth: 102,
+    });
+  });
+
+  test('keeps best of odd so a match has a winner', () => {
+    expect(sanitizeSettings({ bestOf: 4 }).bestOf).toBe(5);
+    expect(sanitizeSettings({ bestOf: 9 }).bestOf).toBe(9);
+  });
+
+  test('keeps the max ball speed at least the starting speed', () => {
+    const result = sanitizeSettings({ initialBallSpeed: 1200, maxBallSpeed: 800 });
+
+    expect(result.maxBallSpeed).toBe(1200);
+  });
+
+  test('drops unknown keys', () => {
+    expect(sanitizeSettings(/** @type {any} */ ({ cheat: true }))).not.toHaveProperty('cheat');
+  });
+});
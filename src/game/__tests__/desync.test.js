@@ -0,0 +1,29 @@
+import { DesyncDetector } from '../desync.js';
+
+describe('DesyncDetector', () => {
+  test('reports a desync only after several mismatches in a row', () => {
+    const detector = new DesyncDetector({ interval: 10, threshold: 2 });
+    detector.record(10, 1);
+    detector.record(20, 2);
+
+    expect(detector.compare(10, 99, 20)).toBe(false);
+    expect(detector.compare(20, 99, 20)).toBe(true);
+  });
+
+  test('compares remote hashes from ahead once this player reaches the tick', () => {
+    const detector = new DesyncDetector({ interval: 10, threshold: 1 });
+
+    expect(detector.compare(30, 99, 20)).toBe(false);
+    expect(detector.record(30, 1)).toBe(true);
+  });
+
+  test('drops remote hashes for ticks that were skipped', () => {
+    const detector = new DesyncDetector({ interval: 10, threshold: 1 });
+    detector.compare(30, 99, 20);
+    detector.compare(40, 99, 20);
+
+    detector.record(35, 1);
+
+    expect([...detector.pending.keys()]).toEqual([40]);
+  });
+});
@@ -0,0 +1,122 @@
+import { GameEngine } from '../engine.js';
+
+jest.mock('../../effects/sound.js', () => ({
+  createSoundEffects: () => new Proxy({}, { get: () => () => {} }),
+}));
+
+/**
+ * Create an engine for a guest with a started match
+ * @returns {GameEngine} The engine
+ */
+function startEngine() {
+  const engine = new GameEngine({
+    isHost: false,
+    seed: 7,
+    onScoreUpdate: () => {},
+    onBallOut: () => {},
+    onGameOver: () => {},
+  });
+  engine.startGame();
+  engine.lastUpdateTime = 1000;
+  return engine;
+}
+
+/**
+ * Run the simulation in quarter-second frames
+ * @param {GameEngine} engine - The engine
+ * @param {number} frames - Frames to run
+ */
+function runFrames(engine, frames) {
+  for (let i = 0; i < frames; i++) {
+    engine.update(engine.lastUpdateTime + 250);
+  }
+}
+
+describe('GameEngine', () => {
+  test('keeps replay ticks in order when a resync moves the tick back', () => {
+    const engine = startEngine();
+    runFrames(engine, 8);
+
+    engine.applyResync({
+      tick: 50,
+      ball: { ...engine.gameState.ball },
+      ballAge: 0,
+      score: engine.getScore(),
+    });
+    runFrames(engine, 8);
+
+    const replay = engine.finishReplay(true);
+    const ticks = replay.events.map(([tick]) => tick);
+
+    expect(engine.tick).toBeLessThan(engine.matchTick);
+    expect(ticks).toEqual([...ticks].sort((a, b) => a - b));
+    expect(replay.result.tick).toBe(engine.matchTick);
+    expect(replay.result.tick).toBeGreaterThanOrEqual(ticks[ticks.length - 1]);
+  });
+
+  test('serves differently in each game of a match', () => {
+    const engine = startEngine();
+
+    /**
+     * Serve at a score and record which way the ball goes
+     * @param {number} games - Games played
+     * @param {number} points - Points played in the current game
+     * @returns {number} -1 for left, 1 for right
+     */
+    const serveAt = (games, points) => {
+      engine.gameState.localPlayer.games = games;
+      engine.gameState.localPlayer.score = points;
+      engine.startGame();
+      return Math.sign(engine.gameState.ball.velocityX);
+    };
+    const serves = games => Array.from({ length: 16 }, (_, points) => serveAt(games, points));
+
+    expect(serves(0)).not.toEqual(serves(1));
+    // Still the same serves for the same point, as both players must agree
+    expect(serves(1)).toEqual(serves(1));
+  });
+});
+
+describe('GameEngine fixed timestep', () => {
+  test('reaches the same ball state whatever the frame timing', () => {
+    const steady = startEngine();
+    const jittery = startEngine();
+    // Run a little past a whole second, so rounding can't tip either engine over a tick edge
+    const end = steady.lastUpdateTime + 1004;
+
+    while (steady.lastUpdateTime < end) {
+      steady.update(Math.min(steady.lastUpdateTime + 1000 / 60, end));
+    }
+    const frameTimes = [7, 16, 33, 4, 50, 12];
+    for (let i = 0; jittery.lastUpdateTime < end; i++) {
+      jittery.update(Math.min(jittery.lastUpdateTime + frameTimes[i % frameTimes.length], end));
+    }
+
+    expect(jittery.tick).toBe(120);
+    expect(jittery.tick).toBe(steady.tick);
+    expect(jittery.gameState.ball).toEqual(steady.gameState.ball);
+  });
+});
+
+describe('GameEngine swept collision', () => {
+  test('returns a ball at max speed within a single long frame', () => {
+    const engine = startEngine();
+    const { paddle } = engine.gameState.localPlayer;
+    const { maxBallSpeed } = engine.gameState.settings;
+    Object.assign(engine.gameState.ball, {
+      x: paddle.x,
+      y: 500,
+      velocityX: 0,
+      velocityY: maxBallSpeed,
+      speed: maxBallSpeed,
+    });
+
+    // Far enough to carry the ball well past the paddle if nothing stopped it
+    engine.update(engine.lastUpdateTime + 250);
+
+    const { ball } = engine.gameState;
+    expect(ball.velocityY).toBeLessThan(0);
+    expect(ball.y).toBeLessThan(paddle.y - paddle.height / 2 - ball.radius);
+    expect(engine.getScore()).toMatchObject({ localPoints: 0, remotePoints: 0 });
+  });
+});
@@ -0,0 +1,41 @@
+import { PaddleInterpolator } from '../interpolation.js';
+
+describe('PaddleInterpolator', () => {
+  /** Interpolator with no delay or latency and the given samples, 10 ms apart */
+  function createInterpolator(...positions) {
+    const interpolator = new PaddleInterpolator({ delay: 0, maxExtrapolation: 100 });
+    positions.forEach((x, index) => interpolator.addSample(x, index * 10));
+    return interpolator;
+  }
+
+  test('interpolates between the samples around the playback time', () => {
+    const interpolator = createInterpolator(100, 200);
+
+    expect(interpolator.sample(5)).toBe(150);
+  });
+
+  test('extrapolates from the last velocity for up to maxExtrapolation', () => {
+    const interpolator = createInterpolator(100, 110);
+
+    expect(interpolator.sample(60)).toBe(160);
+    expect(interpolator.sample(110)).toBe(210);
+  });
+
+  test('eases back to the last sample once the paddle has stopped sending', () => {
+    const interpolator = createInterpolator(100, 110);
+
+    expect(interpolator.sample(160)).toBe(160);
+    expect(interpolator.sample(210)).toBe(110);
+    expect(interpolator.sample(5000)).toBe(110);
+  });
+
+  test('plays back the delay and the latency behind the local clock', () => {
+    const interpolator = new PaddleInterpolator({ delay: 20, maxExtrapolation: 100 });
+    interpolator.addSample(100, 1000, 30);
+    interpolator.addSample(200, 1010, 30);
+
+    expect(interpolator.sample(1050)).toBe(100);
+    expect(interpolator.sample(1055)).toBe(150);
+    expect(interpolator.sample(1060)).toBe(200);
+  });
+});
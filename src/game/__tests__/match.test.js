@@ -0,0 +1,145 @@
+import { gamesToWin, scorePoint, isDeuce } from '../match.js';
+import { getDefaultSettings } from '../config.js';
+
+/**
+ * Create the scoring part of a game state
+ * @param {Partial<import('../../types/index.js').GameSettings>} overrides - Match settings
+ * @returns {import('../../types/index.js').GameState} The game state
+ */
+function createGameState(overrides) {
+  return /** @type {any} */ ({
+    localPlayer: { score: 0, games: 0 },
+    remotePlayer: { score: 0, games: 0 },
+    settings: { ...getDefaultSettings(), ...overrides },
+  });
+}
+
+/**
+ * Read the score of a game state
+ * @param {import('../../types/index.js').GameState} gameState - The game state
+ * @returns {import('../../types/index.js').MatchScore} The score
+ */
+function scoreOf({ localPlayer, remotePlayer }) {
+  return {
+    localPoints: localPlayer.score,
+    remotePoints: remotePlayer.score,
+    localGames: localPlayer.games,
+    remoteGames: remotePlayer.games,
+  };
+}
+
+/**
+ * Play points in order
+ * @param {import('../../types/index.js').GameState} gameState - The game state
+ * @param {string} winners - 'l' or 'r' for each point's winner
+ * @returns {import('../match.js').PointResult} Result of the last point
+ */
+function play(gameState, winners) {
+  let result;
+  [...winners].forEach(winner => {
+    result = scorePoint(gameState, winner === 'l' ? 'local' : 'remote');
+  });
+  return result;
+}
+
+describe('gamesToWin', () => {
+  test.each([
+    [1, 1],
+    [3, 2],
+    [5, 3],
+    [9, 5],
+  ])('needs a majority of best of %i', (bestOf, games) => {
+    expect(gamesToWin(createGameState({ bestOf }).settings)).toBe(games);
+  });
+
+  test.each([
+    [2, 2],
+    [4, 3],
+  ])('needs more than half of an even best of %i', (bestOf, games) => {
+    expect(gamesToWin(createGameState({ bestOf }).settings)).toBe(games);
+  });
+});
+
+describe('scorePoint', () => {
+  test('wins a game at the win score when two clear', () => {
+    const gameState = createGameState({ winScore: 3, winBy: 2, bestOf: 3 });
+
+    expect(play(gameState, 'll')).toEqual({ gameWon: false, matchWon: false });
+    expect(play(gameState, 'l')).toEqual({ gameWon: true, matchWon: false });
+    expect(scoreOf(gameState)).toEqual({
+      localPoints: 0,
+      remotePoints: 0,
+      localGames: 1,
+      remoteGames: 0,
+    });
+  });
+
+  test('plays on through deuce and advantage until someone is two clear', () => {
+    const gameState = createGameState({ winScore: 3, winBy: 2, bestOf: 3 });
+
+    play(gameState, 'llrr');
+    expect(isDeuce(scoreOf(gameState), gameState.settings)).toBe(true);
+
+    expect(play(gameState, 'l')).toEqual({ gameWon: false, matchWon: false });
+    expect(scoreOf(gameState)).toMatchObject({ localPoints: 3, remotePoints: 2 });
+
+    // Back to deuce, then advantage and the game to the other player
+    play(gameState, 'r');
+    expect(play(gameState, 'r')).toEqual({ gameWon: false, matchWon: false });
+    expect(play(gameState, 'r')).toEqual({ gameWon: true, matchWon: false });
+    expect(scoreOf(gameState)).toMatchObject({ localGames: 0, remoteGames: 1 });
+  });
+
+  test('wins at the win score without deuce when win by is 1', () => {
+    const gameState = createGameState({ winScore: 3, winBy: 1, bestOf: 3 });
+
+    expect(play(gameState, 'llrr')).toEqual({ gameWon: false, matchWon: false });
+    expect(play(gameState, 'r')).toEqual({ gameWon: true, matchWon: false });
+  });
+
+  test('wins the match and keeps the final points on screen', () => {
+    const gameState = createGameState({ winScore: 2, winBy: 1, bestOf: 3 });
+
+    play(gameState, 'll');
+    play(gameState, 'rr');
+    expect(play(gameState, 'rl')).toEqual({ gameWon: false, matchWon: false });
+    expect(play(gameState, 'l')).toEqual({ gameWon: true, matchWon: true });
+    expect(scoreOf(gameState)).toEqual({
+      localPoints: 2,
+      remotePoints: 1,
+      localGames: 2,
+      remoteGames: 1,
+    });
+  });
+});
+
+describe('isDeuce', () => {
+  const score = (localPoints, remotePoints) => ({
+    localPoints,
+    remotePoints,
+    localGames: 0,
+    remoteGames: 0,
+  });
+
+  test('applies once both players reach game point', () => {
+    const { settings } = createGameState({ winScore: 3, winBy: 2 });
+
+    expect(isDeuce(score(2, 1), settings)).toBe(false);
+    expect(isDeuce(score(2, 2), settings)).toBe(true);
+    expect(isDeuce(score(4, 3), settings)).toBe(true);
+  });
+
+  test('never applies when win by is 1', () => {
+    const { settings } = createGameState({ winScore: 3, winBy: 1 });
+
+    expect(isDeuce(score(2, 2), settings)).toBe(false);
+  });
+
+  test('does not apply before the first point of a one-point game', () => {
+    const { settings } = createGameState({ winScore: 1, winBy: 2 });
+
+    expect(isDeuce(score(0, 0), settings)).toBe(false);
+    expect(isDeuce(score(1, 0), settings)).toBe(true);
+    expect(isDeuce(score(1, 1), settings)).toBe(true);
+  });
+});
@@ -0,0 +1,170 @@
+import { ReplayPlayer, MIN_SPEED, MAX_SPEED } from '../playback.js';
+import { REPLAY_EVENTS, PADDLE_INTERVAL } from '../replay.js';
+import { getDefaultSettings } from '../config.js';
+import settings from '../../settings.json';
+
+const { LOCAL_PADDLE, REMOTE_PADDLE, BALL, SCORE } = REPLAY_EVENTS;
+const TICK_RATE = 100;
+
+/**
+ * Create a short recorded match
+ * @returns {import('../../types/index.js').Replay} The replay
+ */
+function createReplay() {
+  return {
+    version: 1,
+    recordedAt: '2026-01-01T00:00:00.000Z',
+    seed: 1,
+    isHost: true,
+    isPractice: false,
+    tickRate: TICK_RATE,
+    settings: getDefaultSettings(),
+    events: [
+      [0, LOCAL_PADDLE, 100],
+      [0, REMOTE_PADDLE, 500],
+      [0, BALL, 300, 400, 100, 200],
+      [PADDLE_INTERVAL, LOCAL_PADDLE, 140],
+      [50, BALL, 350, 500, -100, 200],
+      [60, SCORE, 1, 0, 0, 0],
+      [100, LOCAL_PADDLE, 200],
+      [150, SCORE, 1, 2, 0, 1],
+    ],
+    result: { tick: 200, localWon: false },
+  };
+}
+
+describe('ReplayPlayer', () => {
+  /** @type {ReplayPlayer} */
+  let player;
+
+  beforeEach(() => {
+    player = new ReplayPlayer(createReplay());
+  });
+
+  test('ends at the tick the match ended on', () => {
+    expect(player.duration).toBe(200);
+  });
+
+  test('shows the recorded ball when seeking to a ball event', () => {
+    player.seek(50);
+
+    expect(player.getGameState().ball).toMatchObject({
+      x: 350,
+      y: 500,
+      velocityX: -100,
+      velocityY: 200,
+    });
+  });
+
+  test('moves the ball along its path between ball events', () => {
+    player.seek(25);
+
+    expect(player.getGameState().ball).toMatchObject({
+      x: 325,
+      y: 450,
+      velocityX: 100,
+      velocityY: 200,
+    });
+  });
+
+  test('interpolates paddles between close samples and holds them across gaps', () => {
+    player.seek(PADDLE_INTERVAL / 2);
+    expect(player.getGameState().localPlayer.paddle.x).toBe(120);
+
+    player.seek(50);
+    expect(player.getGameState().localPlayer.paddle.x).toBe(140);
+
+    player.seek(150);
+    expect(player.getGameState().localPlayer.paddle.x).toBe(200);
+  });
+
+  test('shows the score from the last score event', () => {
+    player.seek(59);
+    expect(player.getScore()).toEqual({
+      localPoints: 0,
+      remotePoints: 0,
+      localGames: 0,
+      remoteGames: 0,
+    });
+
+    player.seek(60);
+    expect(player.getScore()).toMatchObject({ localPoints: 1, remotePoints: 0 });
+
+    player.seek(180);
+    expect(player.getScore()).toEqual({
+      localPoints: 1,
+      remotePoints: 2,
+      localGames: 0,
+      remoteGames: 1,
+    });
+  });
+
+  test('keeps seeks within the match', () => {
+    player.seek(-10);
+    expect(player.tick).toBe(0);
+
+    player.seek(1000);
+    expect(player.tick).toBe(200);
+  });
+
+  test('steps whole ticks and pauses', () => {
+    player.seek(10.6);
+    player.play();
+    player.step(1);
+    expect(player.tick).toBe(12);
+    expect(player.isPlaying).toBe(false);
+
+    player.step(-3);
+    expect(player.tick).toBe(9);
+  });
+
+  test.each([
+    [0.1, MIN_SPEED],
+    [MIN_SPEED, MIN_SPEED],
+    [2, 2],
+    [MAX_SPEED, MAX_SPEED],
+    [10, MAX_SPEED],
+  ])('clamps a speed of %s to %s', (speed, expected) => {
+    player.setSpeed(speed);
+
+    expect(player.speed).toBe(expected);
+  });
+
+  test('plays at the chosen speed and stops at the end', () => {
+    player.setSpeed(MAX_SPEED);
+    player.play();
+    player.update(0.1);
+    expect(player.tick).toBe(0.1 * TICK_RATE * MAX_SPEED);
+
+    player.update(10);
+    expect(player.tick).toBe(200);
+    expect(player.isPlaying).toBe(false);
+
+    // Playing again starts over
+    player.play();
+    expect(player.tick).toBe(0);
+  });
+
+  test('shows the other side with the ball flipped and the paddles and score swapped', () => {
+    player.seek(150);
+    const normal = player.getGameState();
+
+    player.isFlipped = true;
+    const flipped = player.getGameState();
+
+    expect(flipped.ball.x).toBe(normal.ball.x);
+    expect(flipped.ball.y).toBeCloseTo(settings.fieldHeight - normal.ball.y);
+    expect(flipped.ball.velocityY).toBe(-normal.ball.velocityY);
+    expect(flipped.localPlayer.paddle.x).toBe(normal.remotePlayer.paddle.x);
+    expect(flipped.remotePlayer.paddle.x).toBe(normal.localPlayer.paddle.x);
+    expect(flipped.localPlayer.paddle.y).toBe(normal.localPlayer.paddle.y);
+    expect(flipped.localPlayer.isHost).toBe(false);
+    expect(flipped.remotePlayer.isHost).toBe(true);
+    expect(player.getScore()).toEqual({
+      localPoints: 2,
+      remotePoints: 1,
+      localGames: 1,
+      remoteGames: 0,
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import {
+  REPLAY_VERSION,
+  REPLAY_EVENTS,
+  PADDLE_INTERVAL,
+  ReplayRecorder,
+  summarizeReplay,
+  serializeReplay,
+  parseReplay,
+} from '../replay.js';
+import { getDefaultSettings } from '../config.js';
+import settings from '../../settings.json';
+
+/**
+ * Create the parts of a game state the recorder reads
+ * @param {Object} state - Positions
+ * @param {number} [state.localX] - Local paddle x
+ * @param {number} [state.remoteX] - Remote paddle x
+ * @param {Partial<import('../../types/index.js').Ball>} [state.ball] - Ball
+ * @returns {import('../../types/index.js').GameState} The game state
+ */
+function gameStateAt({ localX = 300, remoteX = 300, ball = {} }) {
+  return /** @type {any} */ ({
+    localPlayer: { paddle: { x: localX } },
+    remotePlayer: { paddle: { x: remoteX } },
+    ball: { x: 300, y: 400, velocityX: 0, velocityY: 0, ...ball },
+  });
+}
+
+/**
+ * Create a recorder with a match started
+ * @returns {ReplayRecorder} The recorder
+ */
+function startRecorder() {
+  const recorder = new ReplayRecorder();
+  recorder.start({ seed: 42, settings: getDefaultSettings(), isHost: true, isPractice: false });
+  return recorder;
+}
+
+/**
+ * Get the events of one type
+ * @param {ReplayRecorder} recorder - The recorder
+ * @param {string} type - Event type
+ * @returns {import('../../types/index.js').ReplayEvent[]} The events
+ */
+const eventsOf = (recorder, type) => recorder.replay.events.filter(([, t]) => t === type);
+
+describe('ReplayRecorder', () => {
+  test('records nothing before a match starts', () => {
+    const recorder = new ReplayRecorder();
+    recorder.record(0, gameStateAt({}));
+
+    expect(recorder.isRecording).toBe(false);
+    expect(recorder.finish(10, true)).toBeNull();
+  });
+
+  test('samples paddles every PADDLE_INTERVAL ticks, only when they moved', () => {
+    const recorder = startRecorder();
+
+    for (let tick = 0; tick < PADDLE_INTERVAL * 3; tick++) {
+      const localX = tick < PADDLE_INTERVAL * 2 ? 200 + tick : 300;
+      recorder.record(tick, gameStateAt({ localX }));
+    }
+
+    expect(eventsOf(recorder, REPLAY_EVENTS.LOCAL_PADDLE)).toEqual([
+      [0, REPLAY_EVENTS.LOCAL_PADDLE, 200],
+      [PADDLE_INTERVAL, REPLAY_EVENTS.LOCAL_PADDLE, 200 + PADDLE_INTERVAL],
+      [PADDLE_INTERVAL * 2, REPLAY_EVENTS.LOCAL_PADDLE, 300],
+    ]);
+    // The remote paddle never moved
+    expect(eventsOf(recorder, REPLAY_EVENTS.REMOTE_PADDLE)).toEqual([
+      [0, REPLAY_EVENTS.REMOTE_PADDLE, 300],
+    ]);
+  });
+
+  test('records the ball only when it leaves its straight-line path', () => {
+    const recorder = startRecorder();
+    const velocityX = 120;
+    const velocityY = -240;
+
+    for (let tick = 0; tick < 10; tick++) {
+      const elapsed = tick / settings.tickRate;
+      const ball = {
+        x: 300 + velocityX * elapsed,
+        y: 400 + velocityY * elapsed,
+        velocityX,
+        velocityY,
+      };
+      recorder.record(tick, gameStateAt({ ball }));
+    }
+    // A bounce off the side wall
+    recorder.record(
+      10,
+      gameStateAt({ ball: { x: 310, y: 380, velocityX: -velocityX, velocityY } })
+    );
+
+    expect(eventsOf(recorder, REPLAY_EVENTS.BALL)).toEqual([
+      [0, REPLAY_EVENTS.BALL, 300, 400, velocityX, velocityY],
+      [10, REPLAY_EVENTS.BALL, 310, 380, -velocityX, velocityY],
+    ]);
+  });
+
+  test('rounds recorded values to a tenth', () => {
+    const recorder = startRecorder();
+    recorder.record(0, gameStateAt({ localX: 123.456 }));
+
+    expect(eventsOf(recorder, REPLAY_EVENTS.LOCAL_PADDLE)[0][2]).toBe(123.5);
+  });
+
+  test('keeps the first result when both players report the end', () => {
+    const recorder = startRecorder();
+    recorder.recordScore(5, { localPoints: 1, remotePoints: 0, localGames: 0, remoteGames: 0 });
+
+    expect(recorder.finish(20, true).result).toEqual({ tick: 20, localWon: true });
+    expect(recorder.finish(25, false).result).toEqual({ tick: 20, localWon: true });
+    expect(recorder.isRecording).toBe(false);
+
+    recorder.recordScore(30, { localPoints: 2, remotePoints: 0, localGames: 0, remoteGames: 0 });
+    expect(eventsOf(recorder, REPLAY_EVENTS.SCORE)).toEqual([[5, REPLAY_EVENTS.SCORE, 1, 0, 0, 0]]);
+  });
+});
+
+describe('summarizeReplay', () => {
+  test('reads the final games and length of the match', () => {
+    const recorder = startRecorder();
+    recorder.recordScore(100, { localPoints: 0, remotePoints: 0, localGames: 1, remoteGames: 0 });
+    recorder.recordScore(200, { localPoints: 3, remotePoints: 1, localGames: 2, remoteGames: 0 });
+
+    expect(summarizeReplay(recorder.finish(settings.tickRate * 3, true))).toEqual({
+      localGames: 2,
+      remoteGames: 0,
+      duration: 3,
+    });
+  });
+
+  test('handles a replay without scores or a result', () => {
+    const recorder = startRecorder();
+    recorder.record(settings.tickRate, gameStateAt({}));
+
+    expect(summarizeReplay(recorder.replay)).toEqual({
+      localGames: 0,
+      remoteGames: 0,
+      duration: 1,
+    });
+  });
+});
+
+describe('serializeReplay / parseReplay', () => {
+  /**
+   * Record a short match
+   * @returns {import('../../types/index.js').Replay} The replay
+   */
+  function recordMatch() {
+    const recorder = startRecorder();
+    for (let tick = 0; tick < 40; tick++) {
+      recorder.record(tick, gameStateAt({ localX: 200 + tick * 2.5, ball: { velocityX: tick } }));
+    }
+    recorder.recordScore(40, { localPoints: 1, remotePoints: 0, localGames: 0, remoteGames: 0 });
+    return recorder.finish(40, true);
+  }
+
+  test('round-trips a replay', () => {
+    const replay = recordMatch();
+
+    expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+  });
+
+  test.each([
+    ['text that is not JSON', 'not json'],
+    ['JSON that is not an object', '42'],
+    ['null', 'null'],
+    ['an object without events', '{"version":1}'],
+  ])('rejects %s', (name, text) => {
+    expect(() => parseReplay(text)).toThrow('The file is not a replay');
+  });
+
+  test('rejects replays from another format version', () => {
+    const text = serializeReplay({ ...recordMatch(), version: REPLAY_VERSION + 1 });
+
+    expect(() => parseReplay(text)).toThrow(`The replay is version ${REPLAY_VERSION + 1}`);
+  });
+
+  test.each([
+    ['a missing tick rate', replay => ({ ...replay, tickRate: undefined })],
+    ['missing settings', replay => ({ ...replay, settings: null })],
+    ['an unknown event type', replay => ({ ...replay, events: [[0, 'x', 1]] })],
+    ['a fractional tick', replay => ({ ...replay, events: [[0.5, REPLAY_EVENTS.SCORE, 1]] })],
+    [
+      'a non-numeric value',
+      replay => ({ ...replay, events: [[0, REPLAY_EVENTS.LOCAL_PADDLE, 'a']] }),
+    ],
+    ['an event that is not a list', replay => ({ ...replay, events: [{ tick: 0 }] })],
+  ])('rejects a replay with %s', (name, damage) => {
+    const text = JSON.stringify(damage(recordMatch()));
+
+    expect(() => parseReplay(text)).toThrow('The replay is damaged');
+  });
+});
@@ -0,0 +1,90 @@
+import settings from '../settings.json';
+
+/**
+ * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').Ball} Ball
+ * @typedef {import('../types/index.js').Paddle} Paddle
+ * @typedef {import('../types/index.js').AIDifficulty} AIDifficulty
+ */
+
+/**
+ * Computer opponent that drives the remote (top) paddle in practice mode
+ */
+export class AIController {
+  /**
+   * Create a new AIController instance
+   * @param {Object} [options] - AI options
+   * @param {string} [options.difficulty] - Difficulty level name from settings.json
+   * @param {() => number} [options.random] - Random number source, returns a float in [0, 1)
+   */
+  constructor({ difficulty = settings.ai.defaultDifficulty, random = Math.random } = {}) {
+    /** @type {AIDifficulty} */
+    this.difficulty =
+      settings.ai.difficulties[difficulty] ??
+      settings.ai.difficulties[settings.ai.defaultDifficulty];
+    this.random = random;
+
+    this.targetX = settings.fieldWidth / 2;
+    this.timeSinceDecision = Infinity;
+  }
+
+  /**
+   * Move the paddle towards where the AI thinks the ball will arrive
+   * @param {GameState} gameState - The current game state
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {number} The new x position for the AI paddle
+   */
+  update(gameState, deltaTime) {
+    const paddle = gameState.remotePlayer.paddle;
+
+    // Only re-read the ball's path after the reaction delay has passed
+    this.timeSinceDecision += deltaTime;
+    if (this.timeSinceDecision >= this.difficulty.reactionDelay) {
+      this.timeSinceDecision = 0;
+      this.targetX = this.chooseTarget(gameState.ball, paddle);
+    }
+
+    // Move towards the target no faster than the max paddle speed
+    const maxStep = this.difficulty.maxPaddleSpeed * deltaTime;
+    const distance = this.targetX - paddle.x;
+
+    return paddle.x + Math.max(-maxStep, Math.min(maxStep, distance));
+  }
+
+  /**
+   * Decide where the paddle should go
+   * @param {Ball} ball - The ball
+   * @param {Paddle} paddle - The AI paddle
+   * @returns {number} Target x position
+   * @private
+   */
+  chooseTarget(ball, paddle) {
+    // Drift back to the center while the ball is heading away
+    if (ball.velocityY >= 0) {
+      return settings.fieldWidth / 2;
+    }
+
+    const error = (this.random() * 2 - 1) * this.difficulty.predictionError;
+    return this.predictInterceptX(ball, paddle) + error;
+  }
+
+  /**
+   * Predict the x position where the ball reaches the paddle, including wall bounces
+   * @param {Ball} ball - The ball, moving towards the paddle
+   * @param {Paddle} paddle - The AI paddle
+   * @returns {number} Predicted x position
+   * @private
+   */
+  predictInterceptX(ball, paddle) {
+    const faceY = paddle.y + paddle.height / 2 + ball.radius;
+    const time = (faceY - ball.y) / ball.velocityY;
+    const unfoldedX = ball.x + ball.velocityX * time;
+
+    // Fold the straight-line path back into the field to account for wall reflections
+    const span = settings.fieldWidth - ball.radius * 2;
+    const period = span * 2;
+    const offset = (((unfoldedX - ball.radius) % period) + period) % period;
+
+    return ball.radius + (offset > span ? period - offset : offset);
+  }
+}
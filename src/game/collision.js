@@ -0,0 +1,71 @@
+/**
+ * Swept (continuous) collision helpers for the ball
+ * @module collision
+ */
+
+/**
+ * @typedef {import('../types/index.js').Ball} Ball
+ * @typedef {import('../types/index.js').Paddle} Paddle
+ */
+
+/**
+ * Find when the ball will touch the left or right wall
+ * @param {Ball} ball - The ball
+ * @param {number} fieldWidth - Width of the playing field
+ * @returns {number} Time of impact in seconds, or Infinity if the ball never reaches a wall
+ */
+export function timeToWall(ball, fieldWidth) {
+  if (ball.velocityX < 0) {
+    return Math.max(0, (ball.radius - ball.x) / ball.velocityX);
+  }
+
+  if (ball.velocityX > 0) {
+    return Math.max(0, (fieldWidth - ball.radius - ball.x) / ball.velocityX);
+  }
+
+  return Infinity;
+}
+
+/**
+ * Find when the ball will touch the face of a paddle it is travelling towards.
+ * The paddle is treated as its rectangle grown by the ball radius, so a swept
+ * circle becomes a swept point.
+ * @param {Ball} ball - The ball
+ * @param {Paddle} paddle - The paddle the ball is moving towards
+ * @returns {number} Time of impact in seconds, or Infinity if the ball misses the paddle
+ */
+export function timeToPaddle(ball, paddle) {
+  if (ball.velocityY === 0) {
+    return Infinity;
+  }
+
+  const halfWidth = paddle.width / 2 + ball.radius;
+  const halfHeight = paddle.height / 2 + ball.radius;
+
+  // Already overlapping, e.g. the paddle was moved sideways into the ball
+  if (Math.abs(ball.y - paddle.y) < halfHeight && Math.abs(ball.x - paddle.x) < halfWidth) {
+    return 0;
+  }
+
+  // Face of the paddle the ball approaches: top when moving down, bottom when moving up
+  const faceY = ball.velocityY > 0 ? paddle.y - halfHeight : paddle.y + halfHeight;
+  const time = (faceY - ball.y) / ball.velocityY;
+
+  // The ball is already past the face
+  if (time < 0) {
+    return Infinity;
+  }
+
+  const xAtImpact = ball.x + ball.velocityX * time;
+  return Math.abs(xAtImpact - paddle.x) <= halfWidth ? time : Infinity;
+}
+
+/**
+ * Move the ball along its velocity without checking for collisions
+ * @param {Ball} ball - The ball to move
+ * @param {number} time - Time to travel in seconds
+ */
+export function advanceBall(ball, time) {
+  ball.x += ball.velocityX * time;
+  ball.y += ball.velocityY * time;
+}
@@ -0,0 +1,77 @@
+/**
+ * Match settings the host can change before a game starts
+ * @module config
+ */
+import settings from '../settings.json';
+
+/**
+ * @typedef {import('../types/index.js').GameSettings} GameSettings
+ */
+
+/**
+ * @typedef {Object} SettingField
+ * @property {keyof GameSettings} key - Setting name
+ * @property {string} label - Label shown in the settings panel
+ * @property {number} min - Smallest allowed value
+ * @property {number} max - Largest allowed value
+ * @property {number} step - Input step
+ */
+
+/** @type {SettingField[]} */
+export const SETTING_FIELDS = [
+  { key: 'winScore', label: 'Points per game', min: 1, max: 21, step: 1 },
+  { key: 'winBy', label: 'Win by', min: 1, max: 2, step: 1 },
+  { key: 'bestOf', label: 'Best of', min: 1, max: 9, step: 2 },
+  { key: 'initialBallSpeed', label: 'Ball speed', min: 200, max: 1500, step: 50 },
+  { key: 'ballSpeedIncrement', label: 'Speed up per hit', min: 0, max: 200, step: 10 },
+  { key: 'maxBallSpeed', label: 'Max ball speed', min: 500, max: 5000, step: 100 },
+  { key: 'paddleWidth', label: 'Paddle width', min: 40, max: 300, step: 10 },
+  { key: 'paddleHeight', label: 'Paddle height', min: 10, max: 40, step: 2 },
+  { key: 'ballRadius', label: 'Ball size', min: 4, max: 30, step: 1 },
+  { key: 'instantReplay', label: 'Instant replay (sec)', min: 0, max: 5, step: 1 },
+];
+
+/**
+ * Get the match settings from settings.json
+ * @returns {GameSettings} The default match settings
+ */
+export function getDefaultSettings() {
+  return {
+    winScore: settings.winScore,
+    winBy: settings.winBy,
+    bestOf: settings.bestOf,
+    initialBallSpeed: settings.initialBallSpeed,
+    ballSpeedIncrement: settings.ballSpeedIncrement,
+    maxBallSpeed: settings.maxBallSpeed,
+    paddleWidth: settings.paddleWidth,
+    paddleHeight: settings.paddleHeight,
+    ballRadius: settings.ballRadius,
+    instantReplay: settings.instantReplay,
+  };
+}
+
+/**
+ * Clamp match settings to the ranges the panel allows.
+ * Missing or invalid values fall back to the defaults.
+ * @param {Partial<Record<keyof GameSettings, any>>} values - Settings to clean up
+ * @returns {GameSettings} Settings that are safe to play with
+ */
+export function sanitizeSettings(values) {
+  const result = getDefaultSettings();
+
+  SETTING_FIELDS.forEach(({ key, min, max }) => {
+    const value = Number(values?.[key]);
+    if (Number.isFinite(value)) {
+      result[key] = Math.min(max, Math.max(min, Math.round(value)));
+    }
+  });
+
+  // A match needs a winner, so keep best-of odd
+  if (result.bestOf % 2 === 0) {
+    result.bestOf += 1;
+  }
+
+  result.maxBallSpeed = Math.max(result.maxBallSpeed, result.initialBallSpeed);
+
+  return result;
+}
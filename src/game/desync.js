@@ -0,0 +1,145 @@
+import settings from '../settings.json';
+
+/**
+ * @typedef {Object} HashMismatch
+ * @property {number} tick - Simulation tick the hashes were taken at
+ * @property {number} localHash - This player's hash
+ * @property {number} remoteHash - The other player's hash
+ */
+
+/** Ticks of local hashes kept to compare against late remote hashes */
+const HISTORY_TICKS = 256;
+
+/**
+ * Hash a list of integers (32-bit FNV-1a)
+ * @param {number[]} values - Integers to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashValues(values) {
+  let hash = 0x811c9dc5;
+
+  values.forEach(value => {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193);
+    }
+  });
+
+  return hash >>> 0;
+}
+
+/**
+ * Compares per-tick state hashes from both players. A single mismatch can be noise (a ball
+ * near a bucket edge, a tick of drift), so a desync is only reported after several
+ * mismatches in a row.
+ */
+export class DesyncDetector {
+  /**
+   * Create a new DesyncDetector instance
+   * @param {Object} [options] - Detector options
+   * @param {number} [options.interval] - Send a hash every this many ticks
+   * @param {number} [options.threshold] - Consecutive mismatches that count as a desync
+   */
+  constructor({
+    interval = settings.desync.hashInterval,
+    threshold = settings.desync.mismatchThreshold,
+  } = {}) {
+    this.interval = interval;
+    this.threshold = threshold;
+    this.reset();
+  }
+
+  /**
+   * Forget all hashes, e.g. after a resync
+   */
+  reset() {
+    /** @type {Map<number, number>} Local hashes by tick */
+    this.history = new Map();
+    /** @type {Map<number, number>} Remote hashes for ticks this player hasn't reached yet */
+    this.pending = new Map();
+    this.mismatches = 0;
+    /** @type {HashMismatch|null} */
+    this.lastMismatch = null;
+  }
+
+  /**
+   * Whether the hash for a tick should be sent to the other player
+   * @param {number} tick - Simulation tick
+   * @returns {boolean} Whether to send it
+   */
+  shouldSend(tick) {
+    return tick % this.interval === 0;
+  }
+
+  /**
+   * Record this player's hash for a tick
+   * @param {number} tick - Simulation tick
+   * @param {number} hash - State hash
+   * @returns {boolean} Whether a desync was detected against an earlier remote hash
+   */
+  record(tick, hash) {
+    this.history.set(tick, hash);
+    this.history.delete(tick - HISTORY_TICKS);
+
+    // Remote hashes for ticks this player never simulated can't be compared anymore
+    this.pending.forEach((_, pendingTick) => {
+      if (pendingTick < tick) {
+        this.pending.delete(pendingTick);
+      }
+    });
+
+    if (!this.pending.has(tick)) {
+      return false;
+    }
+
+    const remoteHash = this.pending.get(tick);
+    this.pending.delete(tick);
+    return this.compareHashes(tick, hash, remoteHash);
+  }
+
+  /**
+   * Check a hash received from the other player
+   * @param {number} tick - Simulation tick the hash was taken at
+   * @param {number} remoteHash - The other player's hash
+   * @param {number} currentTick - This player's current tick
+   * @returns {boolean} Whether a desync was detected
+   */
+  compare(tick, remoteHash, currentTick) {
+    if (tick > currentTick) {
+      // The other player is ahead; compare once this player gets there
+      this.pending.set(tick, remoteHash);
+      return false;
+    }
+
+    if (!this.history.has(tick)) {
+      return false;
+    }
+
+    return this.compareHashes(tick, this.history.get(tick), remoteHash);
+  }
+
+  /**
+   * Count a comparison towards the mismatch streak
+   * @param {number} tick - Simulation tick
+   * @param {number} localHash - This player's hash
+   * @param {number} remoteHash - The other player's hash
+   * @returns {boolean} Whether the streak reached the threshold
+   * @private
+   */
+  compareHashes(tick, localHash, remoteHash) {
+    if (localHash === remoteHash) {
+      this.mismatches = 0;
+      return false;
+    }
+
+    this.mismatches += 1;
+    this.lastMismatch = { tick, localHash, remoteHash };
+
+    if (this.mismatches < this.threshold) {
+      return false;
+    }
+
+    this.mismatches = 0;
+    return true;
+  }
+}
@@ -1,13 +1,30 @@
 import settings from '../settings.json';
 import { createSoundEffects } from '../effects/sound.js';
+import { timeToWall, timeToPaddle, advanceBall } from './collision.js';
+import { createRandom, createSeed } from '../lib/random.js';
+import { scorePoint } from './match.js';
+import { getDefaultSettings } from './config.js';
+import { PaddleInterpolator } from './interpolation.js';
+import { DesyncDetector, hashValues } from './desync.js';
+import { ReplayRecorder } from './replay.js';
 
 /**
  * @typedef {import('../types/index.js').Ball} Ball
  * @typedef {import('../types/index.js').Paddle} Paddle
  * @typedef {import('../types/index.js').Player} Player
  * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').GameSettings} GameSettings
+ * @typedef {import('../types/index.js').RenderInterpolation} RenderInterpolation
+ * @typedef {import('../types/index.js').MatchScore} MatchScore
+ * @typedef {import('../types/index.js').Replay} Replay
  */
 
+/** Duration of a single simulation tick in seconds */
+const FIXED_TIMESTEP = 1 / settings.tickRate;
+
+/** Upper bound on bounces resolved in a single tick, guards against corner lockups */
+const MAX_IMPACTS_PER_STEP = 8;
+
 /**
  * Game engine responsible for game logic and physics
  */
@@ -16,19 +33,68 @@ export class GameEngine {
    * Create a new GameEngine instance
    * @param {Object} options - Game engine options
    * @param {boolean} options.isHost - Whether this client is the host
-   * @param {Function} options.onScoreUpdate - Callback when score is updated
+   * @param {boolean} [options.isPractice=false] - Whether this is a local game against the AI
+   * @param {Function} options.onScoreUpdate - Callback when score is updated, called with the
+   *   MatchScore and whether the update came from the remote player
    * @param {Function} options.onBallOut - Callback when ball goes out of bounds
-   * @param {Function} options.onGameOver - Callback when game is over
+   * @param {Function} options.onGameOver - Callback when the match is over
+   * @param {number} [options.seed] - Seed for serves and bounce variation, shared by both players
+   * @param {GameSettings} [options.matchSettings] - Match settings, defaults to settings.json
+   * @param {Function} [options.onStateHash] - Callback with (tick, hash) whenever a state hash
+   *   should be sent to the remote player
+   * @param {Function} [options.onDesync] - Callback with a diagnostic snapshot when the two
+   *   players' states have diverged
+   * @param {Function} [options.onInstantReplay] - Callback when a point was scored and the
+   *   next serve is held for an instant replay
    */
-  constructor({ isHost, onScoreUpdate, onBallOut, onGameOver }) {
+  constructor({
+    isHost,
+    isPractice = false,
+    onScoreUpdate,
+    onBallOut,
+    onGameOver,
+    seed = createSeed(),
+    matchSettings = getDefaultSettings(),
+    onStateHash,
+    onDesync,
+    onInstantReplay,
+  }) {
     this.isHost = isHost;
+    this.isPractice = isPractice;
     this.onScoreUpdate = onScoreUpdate;
     this.onBallOut = onBallOut;
     this.onGameOver = onGameOver;
+    this.onStateHash = onStateHash;
+    this.onDesync = onDesync;
+    this.onInstantReplay = onInstantReplay;
+    this.matchSettings = { ...matchSettings };
 
     this.gameState = this.createInitialGameState();
     this.lastUpdateTime = 0;
 
+    // Fixed-timestep simulation state
+    this.accumulator = 0;
+    /** Simulation tick, shared with the other player and lined up with theirs on a resync */
+    this.tick = 0;
+    /** Ticks simulated in this match, never adjusted, so replays stay in order */
+    this.matchTick = 0;
+    /** @type {Ball} */
+    this.previousBall = { ...this.gameState.ball };
+    /** @type {{ tick: number, serveTowardsLocal: boolean }|null} Serve held during a replay */
+    this.heldServe = null;
+
+    // Seeded random numbers so both players can reproduce serves and bounces
+    this.setSeed(seed);
+
+    // Smooths the remote paddle between network updates
+    this.remotePaddle = new PaddleInterpolator();
+
+    // Compares periodic state hashes with the remote player
+    this.desync = new DesyncDetector();
+
+    // Records each match so it survives the reset after game over
+    this.replay = new ReplayRecorder();
+
     // Initialize sound effects
     this.soundEffects = createSoundEffects();
   }
@@ -39,49 +105,68 @@ export class GameEngine {
    * @private
    */
   createInitialGameState() {
+    const matchSettings = this.matchSettings;
+
     /** @type {GameState} */
     const gameState = {
       ball: {
         x: settings.fieldWidth / 2,
         y: settings.fieldHeight / 2,
-        radius: settings.ballRadius,
+        radius: matchSettings.ballRadius,
         velocityX: 0,
         velocityY: 0,
-        speed: settings.initialBallSpeed,
+        speed: matchSettings.initialBallSpeed,
       },
       localPlayer: {
         paddle: {
           x: settings.fieldWidth / 2,
-          y: settings.fieldHeight - settings.paddleHeight * 2, // Position near bottom
-          width: settings.paddleWidth,
-          height: settings.paddleHeight,
+          y: settings.fieldHeight - matchSettings.paddleHeight * 2, // Position near bottom
+          width: matchSettings.paddleWidth,
+          height: matchSettings.paddleHeight,
         },
         score: 0,
+        games: 0,
         isHost: this.isHost,
       },
       remotePlayer: {
         paddle: {
           x: settings.fieldWidth / 2,
-          y: settings.paddleHeight * 2, // Position near top
-          width: settings.paddleWidth,
-          height: settings.paddleHeight,
+          y: matchSettings.paddleHeight * 2, // Position near top
+          width: matchSettings.paddleWidth,
+          height: matchSettings.paddleHeight,
         },
         score: 0,
+        games: 0,
         isHost: !this.isHost,
       },
       isPlaying: false,
       isPaused: false,
-      settings: {
-        winScore: settings.winScore,
-        initialBallSpeed: settings.initialBallSpeed,
-        ballSpeedIncrement: settings.ballSpeedIncrement,
-        maxBallSpeed: settings.maxBallSpeed,
-      },
+      settings: { ...matchSettings },
     };
 
     return gameState;
   }
 
+  /**
+   * Apply new match settings and reset the game to use them.
+   * Only call this between games, e.g. before the countdown.
+   * @param {GameSettings} matchSettings - The settings to play with
+   */
+  applySettings(matchSettings) {
+    this.matchSettings = { ...matchSettings };
+    this.resetGame();
+  }
+
+  /**
+   * Seed the random number generator
+   * Both players must use the same seed to compute identical serves and bounces.
+   * @param {number} seed - 32-bit integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+  }
+
   /**
    * Start the game
    */
@@ -91,15 +176,24 @@ export class GameEngine {
 
     console.log('Game started, isPlaying set to:', this.gameState.isPlaying);
 
+    this.replay.start({
+      seed: this.seed,
+      settings: this.matchSettings,
+      isHost: this.isHost,
+      isPractice: this.isPractice,
+    });
+
     // Play game start sound
     this.soundEffects.playGameStart();
 
     // Ball moves towards the guest, who is the source of truth, so start ball movement.
-    if (!this.isHost) {
+    // In practice mode there is no guest, so serve locally.
+    if (!this.isHost || this.isPractice) {
       this.initBallMovement(false); // Serve towards remote player (top)
     }
 
     this.lastUpdateTime = performance.now();
+    this.accumulator = 0;
   }
 
   /**
@@ -116,7 +210,7 @@ export class GameEngine {
     // Set ball Y position based on serving direction
     // If serving towards local (bottom), start from top of screen
     // If serving towards remote (top), start from bottom of screen
-    const paddleOffset = settings.paddleHeight * 3; // Keep some distance from the paddle
+    const paddleOffset = this.gameState.settings.paddleHeight * 3; // Keep some distance from the paddle
 
     if (serveTowardsLocal) {
       // Serving towards local (bottom), start from top area
@@ -128,10 +222,22 @@ export class GameEngine {
 
     // Give a true 45-degree angle with random left/right direction
     const angle = Math.PI / 4; // 45 degrees
-    const direction = Math.random() < 0.5 ? -1 : 1; // Random left (-1) or right (1)
+    // Derive the serve from the game and point number instead of the shared stream, since
+    // only the serving player calls this and the streams would otherwise drift apart. Points
+    // restart every game, so the game number keeps each game's serves different.
+    const { localPlayer, remotePlayer } = this.gameState;
+    const serveRandom = createRandom(
+      hashValues([
+        this.seed,
+        localPlayer.games + remotePlayer.games,
+        localPlayer.score + remotePlayer.score,
+      ])
+    );
+    const direction = serveRandom() < 0.5 ? -1 : 1; // Random left (-1) or right (1)
 
-    ball.velocityX = direction * settings.initialBallSpeed * Math.cos(angle);
-    ball.velocityY = settings.initialBallSpeed * Math.sin(angle);
+    const { initialBallSpeed } = this.gameState.settings;
+    ball.velocityX = direction * initialBallSpeed * Math.cos(angle);
+    ball.velocityY = initialBallSpeed * Math.sin(angle);
 
     // No need for minimum Y velocity check since we're using a fixed 45-degree angle
     // which already ensures sufficient Y velocity
@@ -142,11 +248,17 @@ export class GameEngine {
     ball.velocityY = serveTowardsLocal ? Math.abs(ball.velocityY) : -Math.abs(ball.velocityY);
 
     // Ensure speed property is set correctly
-    ball.speed = settings.initialBallSpeed;
+    ball.speed = initialBallSpeed;
+
+    // The ball was teleported, so don't interpolate from its old position
+    this.previousBall = { ...ball };
   }
 
   /**
    * Update game state
+   * Advances the simulation in fixed ticks so both peers step the ball identically
+   * regardless of frame rate. Leftover time is kept for the next frame and exposed
+   * for render interpolation.
    * @param {number} timestamp - Current timestamp
    * @returns {boolean} Whether the game state was updated
    */
@@ -160,52 +272,217 @@ export class GameEngine {
       this.lastUpdateTime = timestamp - 16; // Assume ~60fps (16ms frame time)
     }
 
-    // Calculate deltaTime and ensure it's not too large or zero
-    let deltaTime = (timestamp - this.lastUpdateTime) / 1000; // Convert to seconds
-    // If deltaTime is zero or negative, force a reasonable value
-    if (deltaTime <= 0) {
-      deltaTime = 0.016; // Force 16ms if deltaTime is invalid
-    }
-    // Cap deltaTime to prevent huge jumps
-    if (deltaTime > 0.1) {
-      deltaTime = 0.1;
+    // Calculate frame time in seconds, ignoring clock hiccups
+    let frameTime = Math.max(0, (timestamp - this.lastUpdateTime) / 1000);
+    // Cap frame time to prevent a spiral of death after a long stall
+    if (frameTime > settings.maxFrameTime) {
+      frameTime = settings.maxFrameTime;
     }
 
     this.lastUpdateTime = timestamp;
+    this.accumulator += frameTime;
 
-    // Update ball position locally without sending network updates
-    this.updateBall(deltaTime);
+    // Move the remote paddle along its buffered network samples
+    const remotePaddleX = this.remotePaddle.sample(Date.now());
+    if (remotePaddleX !== null) {
+      this.updatePaddlePosition(remotePaddleX, false);
+    }
+
+    while (this.accumulator >= FIXED_TIMESTEP) {
+      this.step(FIXED_TIMESTEP);
+      this.accumulator -= FIXED_TIMESTEP;
 
-    // Check for collisions
-    if (this.isSourceOfTruth()) {
-      this.checkCollisionsPaddle();
+      // Stop stepping once the game ends mid-frame
+      if (!this.gameState.isPlaying) {
+        this.accumulator = 0;
+        break;
+      }
     }
-    this.checkCollisionsWall();
 
     return true;
   }
 
+  /**
+   * Advance the simulation by a single fixed tick
+   * @param {number} deltaTime - Tick duration in seconds
+   * @private
+   */
+  step(deltaTime) {
+    this.previousBall = { ...this.gameState.ball };
+    this.tick += 1;
+    this.matchTick += 1;
+
+    // Serve once the instant replay is over
+    if (this.heldServe && this.matchTick >= this.heldServe.tick) {
+      const { serveTowardsLocal } = this.heldServe;
+      this.heldServe = null;
+      this.initBallMovement(serveTowardsLocal);
+    }
+
+    // Update ball position and resolve collisions locally without sending network updates
+    this.updateBall(deltaTime);
+
+    this.recordStateHash();
+    this.replay.record(this.matchTick, this.gameState);
+  }
+
+  /**
+   * Hash the state after a tick, check it against any remote hash waiting for this tick,
+   * and hand it out for sending every few ticks
+   * @private
+   */
+  recordStateHash() {
+    if (this.isPractice) return;
+
+    const hash = this.hashState();
+
+    if (this.desync.record(this.tick, hash)) {
+      this.handleDesync();
+    }
+
+    if (this.desync.shouldSend(this.tick) && this.onStateHash) {
+      this.onStateHash(this.tick, hash);
+    }
+  }
+
+  /**
+   * Hash the scores, the tick and a coarse bucket of the ball's position and velocity.
+   * Everything is taken from the host's point of view so both players hash the same values.
+   * @returns {number} The state hash
+   */
+  hashState() {
+    const { ball, localPlayer, remotePlayer } = this.gameState;
+    const { positionBucket, velocityBucket } = settings.desync;
+    const host = this.isHost ? localPlayer : remotePlayer;
+    const guest = this.isHost ? remotePlayer : localPlayer;
+
+    // The guest sees the field upside down
+    const y = this.isHost ? ball.y : settings.fieldHeight - ball.y;
+    const velocityY = this.isHost ? ball.velocityY : -ball.velocityY;
+
+    return hashValues([
+      this.tick,
+      host.score,
+      guest.score,
+      host.games,
+      guest.games,
+      Math.floor(ball.x / positionBucket),
+      Math.floor(y / positionBucket),
+      Math.round(ball.velocityX / velocityBucket),
+      Math.round(velocityY / velocityBucket),
+    ]);
+  }
+
+  /**
+   * Check a state hash received from the remote player
+   * @param {number} tick - The remote player's tick for the hash
+   * @param {number} hash - The remote player's state hash
+   */
+  checkRemoteHash(tick, hash) {
+    if (this.desync.compare(tick, hash, this.tick)) {
+      this.handleDesync();
+    }
+  }
+
+  /**
+   * Log what each player had when the states diverged and report it
+   * @private
+   */
+  handleDesync() {
+    const snapshot = {
+      tick: this.tick,
+      isHost: this.isHost,
+      isSourceOfTruth: this.isSourceOfTruth(),
+      mismatch: this.desync.lastMismatch,
+      ball: { ...this.gameState.ball },
+      localPaddle: { ...this.gameState.localPlayer.paddle },
+      remotePaddle: { ...this.gameState.remotePlayer.paddle },
+      score: this.getScore(),
+    };
+
+    console.warn('Desync detected:', JSON.stringify(snapshot));
+
+    if (this.onDesync) {
+      this.onDesync(snapshot);
+    }
+  }
+
+  /**
+   * Adopt the source of truth's state after a desync
+   * @param {Object} data - The authoritative state
+   * @param {number} data.tick - The sender's tick when the state was produced
+   * @param {Ball} data.ball - Ball state, already transformed to this player's view
+   * @param {number} data.ballAge - Seconds since the sender produced the state
+   * @param {MatchScore} data.score - Match score from the sender's perspective
+   */
+  applyResync({ tick, ball, ballAge, score }) {
+    // Line the ticks up with the sender's, including the time the state spent in flight.
+    // Hashes kept for the old ticks no longer line up, so drop them along with any waiting
+    // remote hashes.
+    this.tick = tick + Math.round(Math.max(0, ballAge) * settings.tickRate);
+    this.updateFromRemote({ ball, ballAge, score });
+    this.desync.reset();
+  }
+
+  /**
+   * Get the data needed to interpolate the ball between the last two ticks
+   * @returns {RenderInterpolation} The previous ball state and blend factor
+   */
+  getRenderInterpolation() {
+    return {
+      previousBall: this.previousBall,
+      alpha: this.accumulator / FIXED_TIMESTEP,
+    };
+  }
+
   /**
    * Update ball position
+   * Sweeps the ball along its path, finding the exact time of impact with walls and
+   * paddles, reflecting, and continuing the remaining travel so fast balls can't
+   * tunnel through a paddle.
    * @param {number} deltaTime - Time since last update in seconds
    * @private
    */
   updateBall(deltaTime) {
     const ball = this.gameState.ball;
+    let remainingTime = deltaTime;
 
-    // Update position based on velocity
-    ball.x += ball.velocityX * deltaTime;
-    ball.y += ball.velocityY * deltaTime;
+    for (let impacts = 0; impacts < MAX_IMPACTS_PER_STEP && remainingTime > 0; impacts++) {
+      const wallTime = timeToWall(ball, settings.fieldWidth);
+      const paddleImpact = this.checkCollisionsPaddle();
+      const paddleTime = paddleImpact ? paddleImpact.time : Infinity;
 
-    // Collision with left/right walls
-    if (ball.x - ball.radius < 0 || ball.x + ball.radius > settings.fieldWidth) {
-      ball.velocityX = -ball.velocityX;
-      // Clamp position to prevent sticking
-      ball.x = Math.max(ball.radius, Math.min(settings.fieldWidth - ball.radius, ball.x));
-      // Play sound effect when ball hits the wall
-      this.soundEffects.playWallHit();
+      if (Math.min(wallTime, paddleTime) > remainingTime) {
+        break;
+      }
+
+      if (paddleTime <= wallTime) {
+        advanceBall(ball, paddleTime);
+        remainingTime -= paddleTime;
+
+        // Handle collision with the paddle
+        this.handlePaddleCollision(paddleImpact.paddle);
+
+        // Notify about ball return (for effects)
+        if (this.onBallOut) {
+          this.onBallOut(ball, true);
+        }
+      } else {
+        advanceBall(ball, wallTime);
+        remainingTime -= wallTime;
+
+        // Collision with left/right walls
+        ball.velocityX = -ball.velocityX;
+        // Clamp position to prevent sticking
+        ball.x = Math.max(ball.radius, Math.min(settings.fieldWidth - ball.radius, ball.x));
+        // Play sound effect when ball hits the wall
+        this.soundEffects.playWallHit();
+      }
     }
 
+    // Travel the rest of the tick unobstructed
+    advanceBall(ball, remainingTime);
+
     // Check if ball went out of bounds (top/bottom)
     // Let handleBallOut manage scoring and reset.
     if (ball.y > settings.fieldHeight + ball.radius || ball.y < -ball.radius) {
@@ -217,103 +494,60 @@ export class GameEngine {
   }
 
   /**
-   * Check for collisions between ball and paddles
+   * Move the ball forward by time that has already passed, bouncing off the side walls.
+   * Stops at a paddle so the next tick resolves the hit as usual.
+   * @param {number} elapsed - Time to catch up on in seconds
    * @private
    */
-  checkCollisionsPaddle() {
+  fastForwardBall(elapsed) {
     const ball = this.gameState.ball;
-    const localPaddle = this.gameState.localPlayer.paddle;
-    const remotePaddle = this.gameState.remotePlayer.paddle;
-
-    // Check collision with local paddle (bottom)
-    if (
-      ball.velocityY > 0 && // Ball is moving downward
-      ball.y + ball.radius > localPaddle.y - localPaddle.height / 2 && // Ball bottom edge is below paddle top edge
-      ball.y - ball.radius < localPaddle.y + localPaddle.height / 2 && // Ball top edge is above paddle bottom edge
-      ball.x + ball.radius > localPaddle.x - localPaddle.width / 2 && // Ball right edge is right of paddle left edge
-      ball.x - ball.radius < localPaddle.x + localPaddle.width / 2 // Ball left edge is left of paddle right edge
-    ) {
-      // Handle collision with local paddle
-      this.handlePaddleCollision(localPaddle);
-
-      // Notify about ball return (for effects)
-      if (this.onBallOut) {
-        this.onBallOut(ball, true);
-      }
+    let remainingTime = Math.min(Math.max(0, elapsed), settings.maxBallFastForward);
 
-      return true;
-    }
+    for (let impacts = 0; impacts < MAX_IMPACTS_PER_STEP && remainingTime > 0; impacts++) {
+      const wallTime = timeToWall(ball, settings.fieldWidth);
+      const paddleImpact = this.checkCollisionsPaddle();
+      const paddleTime = paddleImpact ? paddleImpact.time : Infinity;
 
-    // Check collision with remote paddle (top)
-    if (
-      ball.velocityY < 0 && // Ball is moving upward
-      ball.y - ball.radius < remotePaddle.y + remotePaddle.height / 2 && // Ball top edge is above paddle bottom edge
-      ball.y + ball.radius > remotePaddle.y - remotePaddle.height / 2 && // Ball bottom edge is below paddle top edge
-      ball.x + ball.radius > remotePaddle.x - remotePaddle.width / 2 && // Ball right edge is right of paddle left edge
-      ball.x - ball.radius < remotePaddle.x + remotePaddle.width / 2 // Ball left edge is left of paddle right edge
-    ) {
-      // Handle collision with remote paddle
-      this.handlePaddleCollision(remotePaddle);
-
-      // Notify about ball return (for effects)
-      if (this.onBallOut) {
-        this.onBallOut(ball, true);
+      if (Math.min(wallTime, paddleTime) > remainingTime) {
+        break;
       }
 
-      return true;
+      if (paddleTime <= wallTime) {
+        advanceBall(ball, paddleTime);
+        return;
+      }
+
+      advanceBall(ball, wallTime);
+      remainingTime -= wallTime;
+      ball.velocityX = -ball.velocityX;
+      ball.x = Math.max(ball.radius, Math.min(settings.fieldWidth - ball.radius, ball.x));
     }
 
-    return false;
+    advanceBall(ball, remainingTime);
   }
 
   /**
-   * Check for collisions between ball and walls
+   * Find when the ball will hit the paddle it is travelling towards
+   * @returns {{ paddle: Paddle, time: number } | null} The paddle and time of impact, if any
    * @private
    */
-  checkCollisionsWall() {
+  checkCollisionsPaddle() {
     const ball = this.gameState.ball;
-    const localPaddle = this.gameState.localPlayer.paddle;
-    const remotePaddle = this.gameState.remotePlayer.paddle;
-
-    // Check collision with local paddle (bottom)
-    if (
-      ball.velocityY > 0 && // Ball is moving downward
-      ball.y + ball.radius > localPaddle.y - localPaddle.height / 2 && // Ball bottom edge is below paddle top edge
-      ball.y - ball.radius < localPaddle.y + localPaddle.height / 2 && // Ball top edge is above paddle bottom edge
-      ball.x + ball.radius > localPaddle.x - localPaddle.width / 2 && // Ball right edge is right of paddle left edge
-      ball.x - ball.radius < localPaddle.x + localPaddle.width / 2 // Ball left edge is left of paddle right edge
-    ) {
-      // Handle collision with local paddle
-      this.handlePaddleCollision(localPaddle);
-
-      // Notify about ball return (for effects)
-      if (this.onBallOut) {
-        this.onBallOut(ball, true);
-      }
-
-      return true;
-    }
 
-    // Check collision with remote paddle (top)
-    if (
-      ball.velocityY < 0 && // Ball is moving upward
-      ball.y - ball.radius < remotePaddle.y + remotePaddle.height / 2 && // Ball top edge is above paddle bottom edge
-      ball.y + ball.radius > remotePaddle.y - remotePaddle.height / 2 && // Ball bottom edge is below paddle top edge
-      ball.x + ball.radius > remotePaddle.x - remotePaddle.width / 2 && // Ball right edge is right of paddle left edge
-      ball.x - ball.radius < remotePaddle.x + remotePaddle.width / 2 // Ball left edge is left of paddle right edge
-    ) {
-      // Handle collision with remote paddle
-      this.handlePaddleCollision(remotePaddle);
-
-      // Notify about ball return (for effects)
-      if (this.onBallOut) {
-        this.onBallOut(ball, true);
-      }
+    // Moving downward towards the local paddle (bottom), upward towards the remote paddle (top)
+    const paddle =
+      ball.velocityY > 0
+        ? this.gameState.localPlayer.paddle
+        : ball.velocityY < 0
+          ? this.gameState.remotePlayer.paddle
+          : null;
 
-      return true;
+    if (!paddle) {
+      return null;
     }
 
-    return false;
+    const time = timeToPaddle(ball, paddle);
+    return time === Infinity ? null : { paddle, time };
   }
 
   /**
@@ -350,7 +584,7 @@ export class GameEngine {
 
     // Add a small random variation to the velocity for more dynamic gameplay
     const randomVariation = 0.1; // 10% variation
-    ball.velocityX += (Math.random() * 2 - 1) * randomVariation * ball.speed;
+    ball.velocityX += (this.random() * 2 - 1) * randomVariation * ball.speed;
 
     // Normalize the velocity vector to maintain consistent speed
     const currentSpeed = Math.sqrt(
@@ -366,16 +600,15 @@ export class GameEngine {
    */
   handleBallOut() {
     const ball = this.gameState.ball;
-    let pointWinner; // 'local' or 'remote'
+    /** @type {'local'|'remote'} */
+    let pointWinner;
 
-    // Update score based on which side the ball went out (top or bottom)
+    // Work out who won the point based on which side the ball went out (top or bottom)
     if (ball.y > settings.fieldHeight + ball.radius) {
       // Ball went out on local player's side (bottom) -> remote player scores
-      this.gameState.remotePlayer.score += 1;
       pointWinner = 'remote';
     } else if (ball.y < -ball.radius) {
       // Ball went out on remote player's side (top) -> local player scores
-      this.gameState.localPlayer.score += 1;
       pointWinner = 'local';
     } else {
       // Should not happen if called correctly from updateBall
@@ -383,19 +616,19 @@ export class GameEngine {
       return;
     }
 
+    const { matchWon } = scorePoint(this.gameState, pointWinner);
+    this.replay.recordScore(this.matchTick, this.getScore());
+
     // Play score sound
     this.soundEffects.playScore();
 
     // Notify score update
     if (this.onScoreUpdate) {
-      this.onScoreUpdate(this.gameState.localPlayer.score, this.gameState.remotePlayer.score);
+      this.onScoreUpdate(this.getScore(), false);
     }
 
-    // Check if game is over
-    if (
-      this.gameState.localPlayer.score >= this.gameState.settings.winScore ||
-      this.gameState.remotePlayer.score >= this.gameState.settings.winScore
-    ) {
+    // Only the end of the whole match ends play; finished games roll straight into the next
+    if (matchWon) {
       this.gameState.isPlaying = false;
       // Stop the ball visually until game restarts
       ball.velocityX = 0;
@@ -405,16 +638,57 @@ export class GameEngine {
       this.soundEffects.playGameOver();
 
       if (this.onGameOver) {
-        this.onGameOver(this.gameState.localPlayer.score > this.gameState.remotePlayer.score);
+        this.onGameOver(pointWinner === 'local');
       }
     } else {
       // Reset ball for next round, serving towards the player who LOST the point
       const serveTowardsLocal = pointWinner === 'remote'; // If remote won point, serve towards local
 
-      this.initBallMovement(serveTowardsLocal);
+      const { instantReplay } = this.gameState.settings;
+      if (instantReplay > 0) {
+        // Both players watch the end of the rally again in slow motion before the serve
+        const holdTime = instantReplay / settings.instantReplaySpeed;
+        this.heldServe = {
+          tick: this.matchTick + Math.ceil(holdTime * settings.tickRate),
+          serveTowardsLocal,
+        };
+        this.holdBall();
+
+        if (this.onInstantReplay) {
+          this.onInstantReplay();
+        }
+      } else {
+        this.initBallMovement(serveTowardsLocal);
+      }
     }
   }
 
+  /**
+   * Park the ball in the center until the next serve, e.g. during an instant replay
+   */
+  holdBall() {
+    const ball = this.gameState.ball;
+
+    ball.x = settings.fieldWidth / 2;
+    ball.y = settings.fieldHeight / 2;
+    ball.velocityX = 0;
+    ball.velocityY = 0;
+    ball.speed = this.gameState.settings.initialBallSpeed;
+
+    this.previousBall = { ...ball };
+  }
+
+  /**
+   * Hold the serve of an instant replay for longer, e.g. until the other player has been
+   * told about the replay
+   * @param {number} delay - Extra time to hold the serve in seconds
+   */
+  delayServe(delay) {
+    if (!this.heldServe) return;
+
+    this.heldServe.tick += Math.ceil(delay * settings.tickRate);
+  }
+
   /**
    * Update paddle position
    * @param {number} x - New x position (Y position is fixed)
@@ -435,6 +709,23 @@ export class GameEngine {
    */
   resetGame() {
     this.gameState = this.createInitialGameState();
+    this.setSeed(this.seed);
+    this.accumulator = 0;
+    this.tick = 0;
+    this.matchTick = 0;
+    this.previousBall = { ...this.gameState.ball };
+    this.heldServe = null;
+    this.remotePaddle.reset();
+    this.desync.reset();
+  }
+
+  /**
+   * Stop recording the match
+   * @param {boolean} localWon - Whether this player won
+   * @returns {Replay|null} The recorded match, or null if no match was started
+   */
+  finishReplay(localWon) {
+    return this.replay.finish(this.matchTick, localWon);
   }
 
   /**
@@ -450,6 +741,7 @@ export class GameEngine {
   resumeGame() {
     this.gameState.isPaused = false;
     this.lastUpdateTime = performance.now();
+    this.accumulator = 0;
   }
 
   /**
@@ -460,6 +752,21 @@ export class GameEngine {
     return this.gameState;
   }
 
+  /**
+   * Get the current match score from this player's perspective
+   * @returns {MatchScore} The match score
+   */
+  getScore() {
+    const { localPlayer, remotePlayer } = this.gameState;
+
+    return {
+      localPoints: localPlayer.score,
+      remotePoints: remotePlayer.score,
+      localGames: localPlayer.games,
+      remoteGames: remotePlayer.games,
+    };
+  }
+
   /**
    * Determines if this player is the source of truth for the ball
    * based on the ball's direction of travel
@@ -468,6 +775,11 @@ export class GameEngine {
   isSourceOfTruth() {
     const ball = this.gameState.ball;
 
+    // In practice mode there is no remote player, so this client owns the ball
+    if (this.isPractice) {
+      return true;
+    }
+
     // If ball is moving down (positive Y) and player is host, they are the source of truth
     if (ball.velocityY > 0 && this.isHost) {
       return true;
@@ -485,23 +797,37 @@ export class GameEngine {
   /**
    * Update the game state with data from the remote player
    * @param {Object} data - The remote game state data
+   * @param {Ball} [data.ball] - Ball state, already transformed to this player's view
+   * @param {number} [data.ballAge] - Seconds since the remote player produced the ball state
+   * @param {{ x: number, time: number, latency: number }} [data.remotePaddle] - Remote paddle
+   *   position, when the remote player sent it converted to the local clock, and the one-way
+   *   latency (ms)
+   * @param {MatchScore} [data.score] - Match score from the remote player's perspective
    */
   updateFromRemote(data) {
     if (data.ball) {
       this.gameState.ball = data.ball;
+      // Catch up on the time the ball spent in flight so it doesn't jump back
+      this.fastForwardBall(data.ballAge ?? 0);
+      this.previousBall = { ...this.gameState.ball };
     }
 
-    if (data.remotePaddle && typeof data.remotePaddle.x === 'number') {
-      // Only update x position from remote for paddle
-      this.gameState.remotePlayer.paddle.x = data.remotePaddle.x;
+    if (data.remotePaddle) {
+      // Buffered and played back smoothly in update()
+      const { x, time, latency } = data.remotePaddle;
+      this.remotePaddle.addSample(x, time, latency);
     }
 
     if (data.score !== undefined) {
-      this.gameState.remotePlayer.score = data.score.remote;
-      this.gameState.localPlayer.score = data.score.local;
+      // The score is sent from the remote player's perspective, so swap sides
+      this.gameState.localPlayer.score = data.score.remotePoints;
+      this.gameState.remotePlayer.score = data.score.localPoints;
+      this.gameState.localPlayer.games = data.score.remoteGames;
+      this.gameState.remotePlayer.games = data.score.localGames;
+      this.replay.recordScore(this.matchTick, this.getScore());
 
       if (this.onScoreUpdate) {
-        this.onScoreUpdate(this.gameState.localPlayer.score, this.gameState.remotePlayer.score);
+        this.onScoreUpdate(this.getScore(), true);
       }
     }
   }
@@ -0,0 +1,127 @@
+import settings from '../settings.json';
+
+/**
+ * @typedef {Object} PaddleSample
+ * @property {number} x - Paddle x position
+ * @property {number} time - When the sender took the sample, on the local clock (ms)
+ */
+
+/** Samples kept in the buffer, plenty for the interpolation delay at any input rate */
+const MAX_SAMPLES = 32;
+
+/**
+ * Smooths the remote paddle by playing back its timestamped positions a little in the past:
+ * the interpolation delay behind the time the newest sample is expected to arrive.
+ * Positions are interpolated between the two samples around the playback time, and
+ * extrapolated from the last known velocity for a short while when samples are late.
+ * Samples are only sent while the paddle moves, so when they stop for longer the prediction
+ * eases back to the last known position, where the paddle most likely stopped.
+ */
+export class PaddleInterpolator {
+  /**
+   * Create a new PaddleInterpolator instance
+   * @param {Object} [options] - Interpolator options
+   * @param {number} [options.delay] - How far behind the newest sample to play back (ms)
+   * @param {number} [options.maxExtrapolation] - How far past the newest sample to predict (ms)
+   */
+  constructor({
+    delay = settings.remotePaddle.interpolationDelay,
+    maxExtrapolation = settings.remotePaddle.maxExtrapolation,
+  } = {}) {
+    this.delay = delay;
+    this.maxExtrapolation = maxExtrapolation;
+    this.reset();
+  }
+
+  /**
+   * Forget all samples, e.g. when a new game starts
+   */
+  reset() {
+    /** @type {PaddleSample[]} */
+    this.samples = [];
+    /** One-way network latency reported with the newest sample (ms) */
+    this.latency = 0;
+  }
+
+  /**
+   * Add a paddle position received from the remote player
+   * @param {number} x - Paddle x position
+   * @param {number} sentAt - When the sender took the sample, converted to the local clock (ms)
+   * @param {number} [latency=0] - Current one-way network latency (ms)
+   */
+  addSample(x, sentAt, latency = 0) {
+    this.latency = latency;
+
+    // Unreliable delivery can still reorder samples, keep them sorted by send time
+    const index = this.samples.findIndex(sample => sample.time > sentAt);
+    if (index === -1) {
+      this.samples.push({ x, time: sentAt });
+    } else {
+      this.samples.splice(index, 0, { x, time: sentAt });
+    }
+
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the paddle position to show now
+   * @param {number} now - Current time on the local clock (ms)
+   * @returns {number|null} The paddle x position, or null if there are no samples yet
+   */
+  sample(now) {
+    const samples = this.samples;
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const time = now - this.latency - this.delay;
+
+    const first = samples[0];
+    if (time <= first.time) {
+      return first.x;
+    }
+
+    const last = samples[samples.length - 1];
+    if (time >= last.time) {
+      return this.extrapolate(time);
+    }
+
+    const nextIndex = samples.findIndex(sample => sample.time >= time);
+    const from = samples[nextIndex - 1];
+    const to = samples[nextIndex];
+    const span = to.time - from.time;
+    const alpha = span > 0 ? (time - from.time) / span : 1;
+
+    return from.x + (to.x - from.x) * alpha;
+  }
+
+  /**
+   * Predict the paddle position past the newest sample from its last velocity, for up to
+   * maxExtrapolation, then ease back to the newest sample over the same time
+   * @param {number} time - Playback time on the local clock (ms)
+   * @returns {number} The predicted paddle x position
+   * @private
+   */
+  extrapolate(time) {
+    const samples = this.samples;
+    const last = samples[samples.length - 1];
+    if (samples.length < 2) {
+      return last.x;
+    }
+
+    const previous = samples[samples.length - 2];
+    const span = last.time - previous.time;
+    if (span <= 0) {
+      return last.x;
+    }
+
+    const velocity = (last.x - previous.x) / span;
+    const elapsed = time - last.time;
+    const ahead =
+      elapsed <= this.maxExtrapolation ? elapsed : Math.max(0, 2 * this.maxExtrapolation - elapsed);
+
+    return last.x + velocity * ahead;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Match rules: points make games (win by two at deuce), games make a best-of-N match
+ * @module match
+ */
+
+/**
+ * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').GameSettings} GameSettings
+ * @typedef {import('../types/index.js').MatchScore} MatchScore
+ */
+
+/**
+ * @typedef {Object} PointResult
+ * @property {boolean} gameWon - Whether the point won the current game
+ * @property {boolean} matchWon - Whether the point won the match
+ */
+
+/**
+ * Number of games a player needs to win the match
+ * @param {GameSettings} settings - Game settings
+ * @returns {number} Games needed to win
+ */
+export function gamesToWin(settings) {
+  return Math.floor(settings.bestOf / 2) + 1;
+}
+
+/**
+ * Award a point and roll it up into games and the match
+ * @param {GameState} gameState - The game state to update
+ * @param {'local'|'remote'} side - The player who won the point
+ * @returns {PointResult} What the point decided
+ */
+export function scorePoint(gameState, side) {
+  const { settings } = gameState;
+  const winner = side === 'local' ? gameState.localPlayer : gameState.remotePlayer;
+  const loser = side === 'local' ? gameState.remotePlayer : gameState.localPlayer;
+
+  winner.score += 1;
+
+  const gameWon = winner.score >= settings.winScore && winner.score - loser.score >= settings.winBy;
+  if (!gameWon) {
+    return { gameWon: false, matchWon: false };
+  }
+
+  winner.games += 1;
+
+  const matchWon = winner.games >= gamesToWin(settings);
+  if (!matchWon) {
+    // Start the next game; keep the final points on screen when the match is over
+    winner.score = 0;
+    loser.score = 0;
+  }
+
+  return { gameWon: true, matchWon };
+}
+
+/**
+ * Check whether the current game is at deuce or advantage, i.e. both players have
+ * reached game point and someone must now win by two. Never before the first point, even
+ * in one-point games.
+ * @param {MatchScore} score - The current score
+ * @param {GameSettings} settings - Game settings
+ * @returns {boolean} Whether win-by-two is in effect
+ */
+export function isDeuce(score, settings) {
+  return (
+    settings.winBy > 1 &&
+    score.localPoints + score.remotePoints > 0 &&
+    score.localPoints >= settings.winScore - 1 &&
+    score.remotePoints >= settings.winScore - 1
+  );
+}
@@ -0,0 +1,261 @@
+/**
+ * Playback of recorded matches: rebuilds the game state at any point of a replay timeline
+ * @module playback
+ */
+
+import settings from '../settings.json';
+import { REPLAY_EVENTS, PADDLE_INTERVAL } from './replay.js';
+
+/**
+ * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').MatchScore} MatchScore
+ * @typedef {import('../types/index.js').Replay} Replay
+ * @typedef {import('../types/index.js').ReplayEvent} ReplayEvent
+ */
+
+/** Slowest and fastest playback speeds */
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4;
+
+/**
+ * Find the last event at or before a tick
+ * @param {ReplayEvent[]} events - Events of one type, in tick order
+ * @param {number} tick - The tick
+ * @returns {number} Index of the event, or -1 if every event is later
+ */
+function findEventAt(events, tick) {
+  let low = 0;
+  let high = events.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (events[middle][0] <= tick) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Plays back a replay. The playhead is a tick number, fractional between ticks, and can be
+ * moved freely: the state at any tick is rebuilt from the events around it.
+ */
+export class ReplayPlayer {
+  /**
+   * Create a new ReplayPlayer instance
+   * @param {Replay} replay - The replay to play
+   */
+  constructor(replay) {
+    this.replay = replay;
+    /** Current playback position */
+    this.tick = 0;
+    this.isPlaying = false;
+    this.speed = 1;
+    /** Show the match from the other player's side, with their paddle at the bottom */
+    this.isFlipped = false;
+
+    const ofType = type => replay.events.filter(([, eventType]) => eventType === type);
+    this.balls = ofType(REPLAY_EVENTS.BALL);
+    this.localPaddles = ofType(REPLAY_EVENTS.LOCAL_PADDLE);
+    this.remotePaddles = ofType(REPLAY_EVENTS.REMOTE_PADDLE);
+    this.scores = ofType(REPLAY_EVENTS.SCORE);
+
+    const lastEvent = replay.events[replay.events.length - 1];
+    /** Tick the match ended on */
+    this.duration = replay.result?.tick ?? lastEvent?.[0] ?? 0;
+  }
+
+  /**
+   * Start or resume playback, from the start if the end was reached
+   */
+  play() {
+    if (this.tick >= this.duration) {
+      this.tick = 0;
+    }
+    this.isPlaying = true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * Play if paused, pause if playing
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - Speed multiplier, kept between MIN_SPEED and MAX_SPEED
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+  }
+
+  /**
+   * Move the playhead
+   * @param {number} tick - Tick to show
+   */
+  seek(tick) {
+    this.tick = Math.max(0, Math.min(this.duration, tick));
+  }
+
+  /**
+   * Pause and move by whole ticks
+   * @param {number} ticks - Ticks to move, negative to go back
+   */
+  step(ticks) {
+    this.pause();
+    this.seek(Math.round(this.tick) + ticks);
+  }
+
+  /**
+   * Advance playback by the time since the last frame
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.isPlaying) return;
+
+    this.seek(this.tick + deltaTime * this.replay.tickRate * this.speed);
+    if (this.tick >= this.duration) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Rebuild the game state at the playhead, from the chosen player's side
+   * @returns {GameState} Game state for rendering
+   */
+  getGameState() {
+    const matchSettings = this.replay.settings;
+    const ball = this.getBall();
+    const bottomX = this.getPaddleX(this.isFlipped ? this.remotePaddles : this.localPaddles);
+    const topX = this.getPaddleX(this.isFlipped ? this.localPaddles : this.remotePaddles);
+    const score = this.getScore();
+
+    /**
+     * @param {number} x - Paddle x position
+     * @param {number} y - Paddle y position
+     * @returns {import('../types/index.js').Paddle} The paddle
+     */
+    const paddle = (x, y) => ({
+      x,
+      y,
+      width: matchSettings.paddleWidth,
+      height: matchSettings.paddleHeight,
+    });
+
+    return {
+      ball: this.isFlipped
+        ? { ...ball, y: settings.fieldHeight - ball.y, velocityY: -ball.velocityY }
+        : ball,
+      localPlayer: {
+        paddle: paddle(bottomX, settings.fieldHeight - matchSettings.paddleHeight * 2),
+        score: score.localPoints,
+        games: score.localGames,
+        isHost: this.replay.isHost !== this.isFlipped,
+      },
+      remotePlayer: {
+        paddle: paddle(topX, matchSettings.paddleHeight * 2),
+        score: score.remotePoints,
+        games: score.remoteGames,
+        isHost: this.replay.isHost === this.isFlipped,
+      },
+      isPlaying: this.isPlaying,
+      isPaused: !this.isPlaying,
+      settings: matchSettings,
+    };
+  }
+
+  /**
+   * Get the score at the playhead, from the chosen player's side
+   * @returns {MatchScore} The score
+   */
+  getScore() {
+    const index = findEventAt(this.scores, this.tick);
+    const [localPoints, remotePoints, localGames, remoteGames] =
+      index === -1 ? [0, 0, 0, 0] : this.scores[index].slice(2).map(Number);
+
+    return this.isFlipped
+      ? {
+          localPoints: remotePoints,
+          remotePoints: localPoints,
+          localGames: remoteGames,
+          remoteGames: localGames,
+        }
+      : { localPoints, remotePoints, localGames, remoteGames };
+  }
+
+  /**
+   * Get the ball at the playhead, from the recording player's side. Between ball events it
+   * moves in a straight line.
+   * @returns {import('../types/index.js').Ball} The ball
+   * @private
+   */
+  getBall() {
+    const { initialBallSpeed, ballRadius } = this.replay.settings;
+    const index = findEventAt(this.balls, this.tick);
+
+    if (index === -1) {
+      return {
+        x: settings.fieldWidth / 2,
+        y: settings.fieldHeight / 2,
+        radius: ballRadius,
+        velocityX: 0,
+        velocityY: 0,
+        speed: initialBallSpeed,
+      };
+    }
+
+    const [tick, , x, y, velocityX, velocityY] = this.balls[index];
+    const elapsed = (this.tick - tick) / this.replay.tickRate;
+
+    return {
+      x: x + velocityX * elapsed,
+      y: y + velocityY * elapsed,
+      radius: ballRadius,
+      velocityX,
+      velocityY,
+      speed: Math.hypot(velocityX, velocityY),
+    };
+  }
+
+  /**
+   * Get a paddle's position at the playhead. Paddles are sampled every few ticks and only
+   * recorded when they moved, so neighbouring samples are interpolated and a paddle holds
+   * still across longer gaps.
+   * @param {ReplayEvent[]} events - The paddle's events
+   * @returns {number} The paddle x position
+   * @private
+   */
+  getPaddleX(events) {
+    const index = findEventAt(events, this.tick);
+    if (index === -1) {
+      // Paddles are first recorded a few ticks in, so hold them at their first position
+      return events.length > 0 ? Number(events[0][2]) : settings.fieldWidth / 2;
+    }
+
+    const [tick, , x] = events[index];
+    const next = events[index + 1];
+    if (!next || next[0] - tick > PADDLE_INTERVAL) {
+      return x;
+    }
+
+    const alpha = (this.tick - tick) / (next[0] - tick);
+    return x + (next[2] - x) * alpha;
+  }
+}
@@ -12,6 +12,9 @@ import {
 
 /**
  * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').Ball} Ball
+ * @typedef {import('../types/index.js').RenderInterpolation} RenderInterpolation
+ * @typedef {{ time: number, gameState: GameState }} RenderedFrame
  */
 
 /**
@@ -57,6 +60,16 @@ export class GameRenderer {
     this.remotePaddleTrail = [];
     this.maxPaddleTrailLength = 10;
 
+    // Recent frames, kept for instant replays
+    /** @type {RenderedFrame[]} */
+    this.history = [];
+    /**
+     * Instant replay being shown, with times in ms on the clock the frames were recorded on,
+     * and the ms left to hold the first frame before playing
+     * @type {{ frames: RenderedFrame[], index: number, time: number, endTime: number, speed: number, wait: number }|null}
+     */
+    this.instantReplay = null;
+
     // For screen shake effect
     this.shakeOffset = { x: 0, y: 0 };
     this.shakeIntensity = 0;
@@ -181,8 +194,27 @@ export class GameRenderer {
   /**
    * Render the game state
    * @param {GameState} gameState - The current game state
+   * @param {RenderInterpolation} [interpolation] - Blend between the last two simulation ticks
    */
-  render(gameState) {
+  render(gameState, interpolation) {
+    const ball = interpolation
+      ? this.interpolateBall(interpolation.previousBall, gameState.ball, interpolation.alpha)
+      : gameState.ball;
+
+    if (gameState.isPlaying && !gameState.isPaused) {
+      this.recordFrame(gameState, ball);
+    }
+
+    this.draw(gameState, ball);
+  }
+
+  /**
+   * Draw a frame
+   * @param {GameState} gameState - The game state to draw
+   * @param {Ball} ball - The ball to draw
+   * @private
+   */
+  draw(gameState, ball) {
     this.clear();
 
     // Apply screen shake if active
@@ -205,13 +237,13 @@ export class GameRenderer {
     this.drawPaddle(gameState.remotePlayer.paddle, false);
 
     // Update ball trail
-    this.updateBallTrail(gameState.ball);
+    this.updateBallTrail(ball);
 
     // Draw the ball trail
     this.drawBallTrail();
 
     // Draw the ball
-    this.drawBall(gameState.ball);
+    this.drawBall(ball);
 
     // Draw particle effects
     this.updateAndDrawParticles();
@@ -226,6 +258,138 @@ export class GameRenderer {
     }
   }
 
+  /**
+   * Keep a copy of a frame for instant replays, dropping frames too old to be replayed
+   * @param {GameState} gameState - The game state being drawn
+   * @param {Ball} ball - The ball being drawn
+   * @private
+   */
+  recordFrame(gameState, ball) {
+    const now = performance.now();
+    const { localPlayer, remotePlayer } = gameState;
+
+    this.history.push({
+      time: now,
+      gameState: {
+        ...gameState,
+        ball: { ...ball },
+        localPlayer: { ...localPlayer, paddle: { ...localPlayer.paddle } },
+        remotePlayer: { ...remotePlayer, paddle: { ...remotePlayer.paddle } },
+      },
+    });
+
+    const oldest = now - settings.instantReplayBuffer * 1000;
+    while (this.history[0].time < oldest) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Whether an instant replay is being shown
+   * @returns {boolean} Whether renderInstantReplay() should be called instead of render()
+   */
+  get isShowingInstantReplay() {
+    return this.instantReplay !== null;
+  }
+
+  /**
+   * Start replaying the last few seconds of frames in slow motion
+   * @param {number} duration - Seconds of play to replay
+   * @param {number} speed - Playback speed, below 1 for slow motion
+   * @param {number} [delay=0] - Seconds to hold the first frame before playing. If negative,
+   *   the replay starts that far in, so it still ends on time.
+   * @returns {boolean} Whether there were frames to replay
+   */
+  startInstantReplay(duration, speed, delay = 0) {
+    const frames = this.history;
+    // The next replay starts from what is played after this one
+    this.clearHistory();
+    if (frames.length === 0) return false;
+
+    const endTime = frames[frames.length - 1].time;
+    this.instantReplay = {
+      frames,
+      index: 0,
+      time: endTime - duration * 1000 - Math.min(0, delay) * 1000 * speed,
+      endTime,
+      speed,
+      wait: Math.max(0, delay) * 1000,
+    };
+    this.clearTrails();
+    return true;
+  }
+
+  /**
+   * Draw the next frame of the instant replay, and end it once the last frame is reached
+   * @param {number} deltaTime - Time since the last frame in seconds, 0 while paused
+   */
+  renderInstantReplay(deltaTime) {
+    const replay = this.instantReplay;
+    if (!replay) return;
+
+    const waited = Math.min(replay.wait, deltaTime * 1000);
+    replay.wait -= waited;
+    replay.time += (deltaTime * 1000 - waited) * replay.speed;
+    while (
+      replay.index < replay.frames.length - 1 &&
+      replay.frames[replay.index + 1].time <= replay.time
+    ) {
+      replay.index += 1;
+    }
+
+    const { gameState } = replay.frames[replay.index];
+    this.draw(gameState, gameState.ball);
+
+    if (replay.time >= replay.endTime) {
+      this.stopInstantReplay();
+    }
+  }
+
+  /**
+   * End the instant replay, if one is being shown
+   */
+  stopInstantReplay() {
+    if (!this.instantReplay) return;
+
+    this.instantReplay = null;
+    // The live game continues from somewhere else
+    this.clearTrails();
+  }
+
+  /**
+   * Forget the frames kept for instant replays
+   */
+  clearHistory() {
+    this.history = [];
+  }
+
+  /**
+   * Forget the ball and paddle trails, e.g. when the state jumps instead of moving
+   */
+  clearTrails() {
+    this.ballTrail = [];
+    this.localPaddleTrail = [];
+    this.remotePaddleTrail = [];
+  }
+
+  /**
+   * Blend the ball position between two simulation ticks
+   * @param {Ball} previousBall - Ball state at the previous tick
+   * @param {Ball} ball - Ball state at the current tick
+   * @param {number} alpha - Blend factor between 0 (previous) and 1 (current)
+   * @returns {Ball} The ball to draw
+   * @private
+   */
+  interpolateBall(previousBall, ball, alpha) {
+    const t = Math.max(0, Math.min(1, alpha));
+
+    return {
+      ...ball,
+      x: previousBall.x + (ball.x - previousBall.x) * t,
+      y: previousBall.y + (ball.y - previousBall.y) * t,
+    };
+  }
+
   /**
    * Draw the game field
    * @private
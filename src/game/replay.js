@@ -0,0 +1,264 @@
+/**
+ * Match recording: a compact timeline of paddle moves, ball changes and scores
+ * @module replay
+ */
+
+import settings from '../settings.json';
+
+/**
+ * @typedef {import('../types/index.js').Ball} Ball
+ * @typedef {import('../types/index.js').GameState} GameState
+ * @typedef {import('../types/index.js').GameSettings} GameSettings
+ * @typedef {import('../types/index.js').MatchScore} MatchScore
+ * @typedef {import('../types/index.js').Replay} Replay
+ * @typedef {import('../types/index.js').ReplayEvent} ReplayEvent
+ */
+
+/** Replay format version, bump when the timeline changes shape */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Event types in a replay timeline, and the values that follow the type
+ */
+export const REPLAY_EVENTS = {
+  /** Local paddle moved: x */
+  LOCAL_PADDLE: 'l',
+  /** Remote paddle moved: x */
+  REMOTE_PADDLE: 'r',
+  /** Ball served, bounced, or corrected by the other player: x, y, velocityX, velocityY */
+  BALL: 'b',
+  /** Score changed: localPoints, remotePoints, localGames, remoteGames */
+  SCORE: 's',
+};
+
+/** Values are stored rounded to 1 / PRECISION */
+const PRECISION = 10;
+
+/** Paddles are recorded every this many ticks at most, and played back interpolated */
+export const PADDLE_INTERVAL = 4;
+
+/** How far the ball may drift from its last recorded path before it is recorded again */
+const BALL_TOLERANCE = 1;
+
+/**
+ * Round a value for storage
+ * @param {number} value - The value
+ * @returns {number} The rounded value
+ */
+function round(value) {
+  return Math.round(value * PRECISION) / PRECISION;
+}
+
+/**
+ * Records a match as it is played. Between ball events the ball moves in a straight line,
+ * so the ball is only recorded when it leaves the line it was on: on serves, bounces and
+ * corrections from the other player.
+ */
+export class ReplayRecorder {
+  constructor() {
+    /** @type {Replay|null} */
+    this.replay = null;
+    /** @type {ReplayEvent|null} Last ball event, to tell when the ball leaves its path */
+    this.lastBall = null;
+    /** Last recorded paddle positions, by event type */
+    this.lastPaddles = {};
+  }
+
+  /**
+   * Whether a match is being recorded
+   * @returns {boolean} Whether events are recorded
+   */
+  get isRecording() {
+    return this.replay !== null && this.replay.result === null;
+  }
+
+  /**
+   * Start recording a new match
+   * @param {Object} match - The match
+   * @param {number} match.seed - Seed the match is played with
+   * @param {GameSettings} match.settings - Match settings
+   * @param {boolean} match.isHost - Whether this player is the host
+   * @param {boolean} match.isPractice - Whether the match is against the AI
+   */
+  start({ seed, settings: matchSettings, isHost, isPractice }) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed,
+      isHost,
+      isPractice,
+      tickRate: settings.tickRate,
+      settings: { ...matchSettings },
+      events: [],
+      result: null,
+    };
+    this.lastBall = null;
+    this.lastPaddles = {};
+  }
+
+  /**
+   * Record the paddles and ball after a simulation tick, where they changed
+   * @param {number} tick - Simulation tick
+   * @param {GameState} gameState - State after the tick
+   */
+  record(tick, gameState) {
+    if (!this.isRecording) return;
+
+    if (tick % PADDLE_INTERVAL === 0) {
+      this.recordPaddle(tick, REPLAY_EVENTS.LOCAL_PADDLE, gameState.localPlayer.paddle.x);
+      this.recordPaddle(tick, REPLAY_EVENTS.REMOTE_PADDLE, gameState.remotePlayer.paddle.x);
+    }
+
+    if (this.hasBallChanged(tick, gameState.ball)) {
+      const { x, y, velocityX, velocityY } = gameState.ball;
+      this.lastBall = [
+        tick,
+        REPLAY_EVENTS.BALL,
+        round(x),
+        round(y),
+        round(velocityX),
+        round(velocityY),
+      ];
+      this.replay.events.push(this.lastBall);
+    }
+  }
+
+  /**
+   * Record a score change
+   * @param {number} tick - Simulation tick
+   * @param {MatchScore} score - Score from this player's perspective
+   */
+  recordScore(tick, score) {
+    if (!this.isRecording) return;
+
+    const { localPoints, remotePoints, localGames, remoteGames } = score;
+    this.replay.events.push([
+      tick,
+      REPLAY_EVENTS.SCORE,
+      localPoints,
+      remotePoints,
+      localGames,
+      remoteGames,
+    ]);
+  }
+
+  /**
+   * Stop recording. Only the first call counts, as both players can report the end.
+   * @param {number} tick - Simulation tick the match ended on
+   * @param {boolean} localWon - Whether this player won
+   * @returns {Replay|null} The finished replay, or null if nothing was recorded
+   */
+  finish(tick, localWon) {
+    if (this.isRecording) {
+      this.replay.result = { tick, localWon };
+    }
+    return this.replay;
+  }
+
+  /**
+   * Record a paddle position if it moved
+   * @param {number} tick - Simulation tick
+   * @param {string} type - REPLAY_EVENTS.LOCAL_PADDLE or REPLAY_EVENTS.REMOTE_PADDLE
+   * @param {number} x - Paddle x position
+   * @private
+   */
+  recordPaddle(tick, type, x) {
+    const rounded = round(x);
+    if (this.lastPaddles[type] === rounded) return;
+
+    this.lastPaddles[type] = rounded;
+    this.replay.events.push([tick, type, rounded]);
+  }
+
+  /**
+   * Check whether the ball has left the straight line it was on at the last ball event
+   * @param {number} tick - Simulation tick
+   * @param {Ball} ball - The ball
+   * @returns {boolean} Whether the ball needs recording
+   * @private
+   */
+  hasBallChanged(tick, ball) {
+    if (!this.lastBall) return true;
+
+    const [lastTick, , x, y, velocityX, velocityY] = this.lastBall;
+    if (velocityX !== round(ball.velocityX) || velocityY !== round(ball.velocityY)) {
+      return true;
+    }
+
+    const elapsed = (tick - lastTick) / settings.tickRate;
+    return (
+      Math.abs(x + velocityX * elapsed - ball.x) > BALL_TOLERANCE ||
+      Math.abs(y + velocityY * elapsed - ball.y) > BALL_TOLERANCE
+    );
+  }
+}
+
+/**
+ * Summarize how a recorded match went
+ * @param {Replay} replay - The replay
+ * @returns {{ localGames: number, remoteGames: number, duration: number }} Final games won
+ *   by each player, and the length of the match in seconds
+ */
+export function summarizeReplay(replay) {
+  const scores = replay.events.filter(([, type]) => type === REPLAY_EVENTS.SCORE);
+  const lastScore = scores[scores.length - 1];
+  const lastTick = replay.result?.tick ?? replay.events[replay.events.length - 1]?.[0] ?? 0;
+
+  return {
+    localGames: lastScore ? Number(lastScore[4]) : 0,
+    remoteGames: lastScore ? Number(lastScore[5]) : 0,
+    duration: lastTick / replay.tickRate,
+  };
+}
+
+/**
+ * Turn a replay into the text of a replay file
+ * @param {Replay} replay - The replay
+ * @returns {string} JSON text
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Read a replay file
+ * @param {string} text - Contents of the file
+ * @returns {Replay} The replay
+ * @throws {Error} If the file isn't a replay this build can read
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not a replay');
+  }
+
+  if (typeof replay !== 'object' || replay === null || !Array.isArray(replay.events)) {
+    throw new Error('The file is not a replay');
+  }
+
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(
+      `The replay is version ${replay.version}, this version of the game reads version ${REPLAY_VERSION}`
+    );
+  }
+
+  const eventTypes = Object.values(REPLAY_EVENTS);
+  const isEvent = event =>
+    Array.isArray(event) &&
+    Number.isInteger(event[0]) &&
+    eventTypes.includes(event[1]) &&
+    event.slice(2).every(value => typeof value === 'number' && Number.isFinite(value));
+
+  if (
+    !Number.isFinite(replay.tickRate) ||
+    typeof replay.settings !== 'object' ||
+    replay.settings === null ||
+    !replay.events.every(isEvent)
+  ) {
+    throw new Error('The replay is damaged');
+  }
+
+  return replay;
+}
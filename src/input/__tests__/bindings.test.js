@@ -0,0 +1,133 @@
+import {
+  getDefaultBindings,
+  loadBindings,
+  saveBindings,
+  bindInput,
+  findAction,
+  describeInput,
+} from '../bindings.js';
+
+/** localStorage key the bindings are saved under */
+const STORAGE_KEY = 'multiPong.bindings';
+
+describe('bindInput', () => {
+  test('replaces the input in one slot of an action', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'pause', 1, 'KeyQ');
+
+    expect(bindings.keyboard.pause).toEqual(['KeyP', 'KeyQ']);
+  });
+
+  test('adds an input in a new slot', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'ready', 1, 'Space');
+
+    expect(bindings.keyboard.ready).toEqual(['Enter', 'Space']);
+  });
+
+  test('takes a key away from the action it belonged to', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'pause', 0, 'KeyA');
+
+    expect(bindings.keyboard.pause).toEqual(['KeyA', 'Escape']);
+    expect(bindings.keyboard.moveLeft).toEqual(['ArrowLeft']);
+    expect(findAction(bindings.keyboard, 'KeyA')).toBe('pause');
+  });
+
+  test('moves an input between slots of the same action', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'moveLeft', 0, 'KeyA');
+
+    expect(bindings.keyboard.moveLeft).toEqual(['KeyA']);
+  });
+
+  test('clears a slot and closes the gap', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'moveRight', 0, null);
+
+    expect(bindings.keyboard.moveRight).toEqual(['KeyD']);
+  });
+
+  test('only touches the device the input belongs to', () => {
+    const defaults = getDefaultBindings();
+    const bindings = bindInput(defaults, 'gamepad', 'pause', 0, 0);
+
+    expect(bindings.gamepad.pause).toEqual([0]);
+    expect(bindings.gamepad.ready).toEqual([]);
+    expect(bindings.keyboard).toBe(defaults.keyboard);
+  });
+
+  test('leaves the bindings it was given unchanged', () => {
+    const defaults = getDefaultBindings();
+    bindInput(defaults, 'keyboard', 'pause', 0, 'KeyA');
+
+    expect(defaults).toEqual(getDefaultBindings());
+  });
+});
+
+describe('loadBindings / saveBindings', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses the defaults when nothing is saved', () => {
+    expect(loadBindings()).toEqual(getDefaultBindings());
+  });
+
+  test('loads saved bindings', () => {
+    const bindings = bindInput(getDefaultBindings(), 'keyboard', 'pause', 0, 'KeyQ');
+    saveBindings(bindings);
+
+    expect(loadBindings()).toEqual(bindings);
+  });
+
+  test('falls back to the defaults for corrupt JSON', () => {
+    window.localStorage.setItem(STORAGE_KEY, '{"keyboard":');
+
+    expect(loadBindings()).toEqual(getDefaultBindings());
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a non-object', 42],
+    ['a missing device', { keyboard: getDefaultBindings().keyboard }],
+    ['a missing action', { ...getDefaultBindings(), gamepad: { moveLeft: [14] } }],
+    [
+      'inputs of the wrong type',
+      { ...getDefaultBindings(), keyboard: { ...getDefaultBindings().keyboard, pause: [80] } },
+    ],
+    [
+      'an action that is not a list',
+      { ...getDefaultBindings(), gamepad: { ...getDefaultBindings().gamepad, ready: 0 } },
+    ],
+  ])('falls back to the defaults for %s', (name, saved) => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+
+    expect(loadBindings()).toEqual(getDefaultBindings());
+  });
+
+  test('keeps playing when storage refuses to save', () => {
+    const storage = /** @type {Storage} */ (
+      /** @type {any} */ ({
+        setItem: () => {
+          throw new Error('QuotaExceededError');
+        },
+      })
+    );
+
+    expect(() => saveBindings(getDefaultBindings(), storage)).not.toThrow();
+  });
+});
+
+describe('describeInput', () => {
+  test.each([
+    ['keyboard', 'ArrowLeft', '←'],
+    ['keyboard', 'KeyA', 'A'],
+    ['keyboard', 'Digit3', '3'],
+    ['keyboard', 'Space', 'Space'],
+    ['gamepad', 9, 'Start'],
+    ['gamepad', 20, 'Button 20'],
+  ])('names %s input %s', (device, input, name) => {
+    expect(describeInput(/** @type {'keyboard'|'gamepad'} */ (device), input)).toBe(name);
+  });
+});
@@ -0,0 +1,97 @@
+import { GamepadController } from '../gamepad.js';
+
+const bindings = { moveLeft: [14], moveRight: [15], pause: [9], ready: [0] };
+
+/**
+ * Create a fake gamepad in the standard mapping
+ * @param {Object} [state] - Gamepad state
+ * @param {number} [state.stick] - Left stick x axis, -1 to 1
+ * @param {number[]} [state.pressed] - Indexes of the buttons held down
+ * @returns {Gamepad} The gamepad
+ */
+function fakeGamepad({ stick = 0, pressed = [] } = {}) {
+  return /** @type {any} */ ({
+    connected: true,
+    axes: [stick, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, (_, index) => ({ pressed: pressed.includes(index) })),
+  });
+}
+
+describe('GamepadController', () => {
+  /** @type {(Gamepad|null)[]} */
+  let gamepads;
+  let onAction;
+  let controller;
+
+  beforeEach(() => {
+    gamepads = [null, fakeGamepad()];
+    onAction = jest.fn();
+    controller = new GamepadController({
+      getGamepads: () => gamepads,
+      deadzone: 0.2,
+      sensitivity: 1,
+      maxSpeed: 500,
+      bindings,
+      onAction,
+    });
+  });
+
+  test('ignores stick movement inside the deadzone', () => {
+    gamepads[1] = fakeGamepad({ stick: 0.2 });
+    controller.poll();
+
+    expect(controller.axis).toBe(0);
+    expect(controller.update(300, 0.1)).toBeNull();
+  });
+
+  test('rescales the stick past the deadzone so movement starts from zero', () => {
+    gamepads[1] = fakeGamepad({ stick: 0.6 });
+    controller.poll();
+    expect(controller.axis).toBeCloseTo(0.5);
+
+    gamepads[1] = fakeGamepad({ stick: -1 });
+    controller.poll();
+    expect(controller.axis).toBe(-1);
+  });
+
+  test('moves the paddle by stick travel, max speed and frame time', () => {
+    gamepads[1] = fakeGamepad({ stick: 0.6 });
+    controller.poll();
+    expect(controller.update(300, 0.1)).toBeCloseTo(325);
+
+    gamepads[1] = fakeGamepad({ stick: -1 });
+    controller.poll();
+    expect(controller.update(300, 0.1)).toBeCloseTo(250);
+  });
+
+  test('moves at full speed on the D-pad, over the stick', () => {
+    gamepads[1] = fakeGamepad({ stick: -0.6, pressed: [15] });
+    controller.poll();
+
+    expect(controller.axis).toBe(1);
+    expect(controller.update(300, 0.1)).toBeCloseTo(350);
+  });
+
+  test('pauses once when the button goes down, not while it is held', () => {
+    gamepads[1] = fakeGamepad({ pressed: [9] });
+    controller.poll();
+    controller.poll();
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(onAction).toHaveBeenCalledWith('pause');
+
+    gamepads[1] = fakeGamepad();
+    controller.poll();
+    gamepads[1] = fakeGamepad({ pressed: [9] });
+    controller.poll();
+    expect(onAction).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops moving when the gamepad disconnects', () => {
+    gamepads[1] = fakeGamepad({ stick: 1 });
+    controller.poll();
+    gamepads[1] = null;
+    controller.poll();
+
+    expect(controller.update(300, 0.1)).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+import { TiltController } from '../tilt.js';
+
+/**
+ * Create a synthetic sensor reading
+ * @param {number|null} beta - Front/back tilt (degrees)
+ * @param {number|null} gamma - Left/right tilt (degrees)
+ * @returns {Event} A 'deviceorientation' event
+ */
+function orientationEvent(beta, gamma) {
+  return Object.assign(new window.Event('deviceorientation'), { beta, gamma, alpha: 0 });
+}
+
+describe('TiltController', () => {
+  /** @type {EventTarget} */
+  let target;
+  let screenAngle;
+  let controller;
+
+  /**
+   * Tilt the phone
+   * @param {number} gamma - Left/right tilt (degrees)
+   * @param {number} [beta] - Front/back tilt (degrees)
+   */
+  const tilt = (gamma, beta = 40) => target.dispatchEvent(orientationEvent(beta, gamma));
+
+  beforeEach(() => {
+    target = new window.EventTarget();
+    screenAngle = 0;
+    controller = new TiltController({
+      target,
+      getScreenAngle: () => screenAngle,
+      requestPermission: async () => true,
+      maxAngle: 30,
+      sensitivity: 1,
+      smoothing: 0,
+    });
+  });
+
+  afterEach(() => {
+    controller.disable();
+  });
+
+  test('ignores the sensor until enabled', () => {
+    tilt(15);
+
+    expect(controller.update(1 / 60)).toBeNull();
+  });
+
+  test('stays off when permission is denied', async () => {
+    const denied = new TiltController({
+      target,
+      requestPermission: async () => false,
+      smoothing: 0,
+    });
+
+    expect(await denied.enable()).toBe(false);
+    tilt(15);
+    expect(denied.enabled).toBe(false);
+    expect(denied.update(1 / 60)).toBeNull();
+  });
+
+  test('asks the browser for permission where it requires it', async () => {
+    const window_ = /** @type {any} */ (window);
+    const requestPermission = jest.fn(async () => 'denied');
+    window_.DeviceOrientationEvent = { requestPermission };
+
+    try {
+      const browserControlled = new TiltController({ target });
+      expect(await browserControlled.enable()).toBe(false);
+      expect(requestPermission).toHaveBeenCalled();
+
+      requestPermission.mockResolvedValue('granted');
+      expect(await browserControlled.enable()).toBe(true);
+      browserControlled.disable();
+    } finally {
+      delete window_.DeviceOrientationEvent;
+    }
+  });
+
+  test('centers the paddle on the first reading', async () => {
+    await controller.enable();
+    expect(controller.update(1 / 60)).toBeNull();
+
+    tilt(12);
+    expect(controller.update(1 / 60)).toBe(300);
+  });
+
+  test('maps tilt from the calibrated center to the field', async () => {
+    await controller.enable();
+    tilt(10);
+    tilt(25);
+    expect(controller.update(1 / 60)).toBeCloseTo(450);
+
+    controller.calibrate();
+    expect(controller.update(1 / 60)).toBe(300);
+    tilt(10);
+    expect(controller.update(1 / 60)).toBeCloseTo(150);
+  });
+
+  test('clamps to the edges of the field past the max angle', async () => {
+    await controller.enable();
+    tilt(0);
+
+    tilt(80);
+    expect(controller.update(1 / 60)).toBe(600);
+    tilt(-80);
+    expect(controller.update(1 / 60)).toBe(0);
+  });
+
+  test('reads left/right tilt from beta in landscape', async () => {
+    screenAngle = 90;
+    await controller.enable();
+    tilt(0, 0);
+
+    tilt(50, 15);
+    expect(controller.update(1 / 60)).toBeCloseTo(450);
+  });
+
+  test('stops steering when disabled', async () => {
+    await controller.enable();
+    tilt(5);
+    controller.disable();
+    tilt(20);
+
+    expect(controller.update(1 / 60)).toBeNull();
+  });
+});
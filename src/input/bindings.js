@@ -0,0 +1,180 @@
+/**
+ * Rebindable mapping from keys and gamepad buttons to input actions, saved in localStorage
+ * @module bindings
+ */
+
+import settings from '../settings.json';
+
+/**
+ * @typedef {import('../types/index.js').InputAction} InputAction
+ * @typedef {import('../types/index.js').InputBindings} InputBindings
+ */
+
+/** localStorage key the player's bindings are saved under */
+const STORAGE_KEY = 'multiPong.bindings';
+
+/**
+ * Actions shown on the controls screen. Moving to a position comes from dragging on the field
+ * and tilting, so it can't be bound to a key.
+ * @type {{ action: InputAction, label: string, rebindable: boolean }[]}
+ */
+export const ACTIONS = [
+  { action: 'moveLeft', label: 'Move left', rebindable: true },
+  { action: 'moveRight', label: 'Move right', rebindable: true },
+  { action: 'setPosition', label: 'Move to', rebindable: false },
+  { action: 'pause', label: 'Pause', rebindable: true },
+  { action: 'ready', label: 'Ready', rebindable: true },
+];
+
+/** Names of the buttons in the standard gamepad mapping */
+const BUTTON_NAMES = [
+  'A',
+  'B',
+  'X',
+  'Y',
+  'LB',
+  'RB',
+  'LT',
+  'RT',
+  'Back',
+  'Start',
+  'L stick',
+  'R stick',
+  'D-pad up',
+  'D-pad down',
+  'D-pad left',
+  'D-pad right',
+  'Home',
+];
+
+/** Names for keys whose code doesn't read well */
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+};
+
+/**
+ * Create the default bindings from settings.json
+ * @returns {InputBindings} The default bindings
+ */
+export function getDefaultBindings() {
+  return JSON.parse(JSON.stringify(settings.bindings));
+}
+
+/**
+ * Check that a value maps every rebindable action to a list of inputs of the given type
+ * @param {any} value - The value to check
+ * @param {string} type - typeof each input
+ * @returns {boolean} Whether the value is a valid device mapping
+ */
+function isDeviceBindings(value, type) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    ACTIONS.filter(({ rebindable }) => rebindable).every(
+      ({ action }) =>
+        Array.isArray(value[action]) && value[action].every(input => typeof input === type)
+    )
+  );
+}
+
+/**
+ * Load the player's bindings, falling back to the defaults if none are saved or they are
+ * unreadable
+ * @param {Storage} [storage=window.localStorage] - Where the bindings are saved
+ * @returns {InputBindings} The bindings
+ */
+export function loadBindings(storage = window.localStorage) {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (isDeviceBindings(saved?.keyboard, 'string') && isDeviceBindings(saved?.gamepad, 'number')) {
+      return { keyboard: saved.keyboard, gamepad: saved.gamepad };
+    }
+  } catch (error) {
+    console.warn('Could not load input bindings:', error);
+  }
+
+  return getDefaultBindings();
+}
+
+/**
+ * Save the player's bindings
+ * @param {InputBindings} bindings - The bindings
+ * @param {Storage} [storage=window.localStorage] - Where to save them
+ */
+export function saveBindings(bindings, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (error) {
+    // Private browsing can refuse storage, the bindings then last until the page closes
+    console.warn('Could not save input bindings:', error);
+  }
+}
+
+/**
+ * Bind an input to one slot of an action. The input is unbound from any other action on the
+ * same device, so one key never triggers two actions.
+ * @param {InputBindings} bindings - Current bindings
+ * @param {'keyboard'|'gamepad'} device - Device the input belongs to
+ * @param {InputAction} action - Action to bind
+ * @param {number} slot - Which of the action's inputs to replace
+ * @param {string|number|null} input - Key code or button index, or null to clear the slot
+ * @returns {InputBindings} The new bindings
+ */
+export function bindInput(bindings, device, action, slot, input) {
+  const slots = [...bindings[device][action]];
+  slots[slot] = input;
+
+  const deviceBindings = Object.fromEntries(
+    Object.entries(bindings[device]).map(([name, inputs]) => [
+      name,
+      name === action
+        ? slots.filter((bound, index) => (index === slot ? bound !== null : bound !== input))
+        : inputs.filter(bound => bound !== input),
+    ])
+  );
+
+  return { ...bindings, [device]: deviceBindings };
+}
+
+/**
+ * Find the action an input is bound to
+ * @param {Record<string, (string|number)[]>} deviceBindings - Bindings for one device
+ * @param {string|number} input - Key code or button index
+ * @returns {InputAction|null} The action, or null if the input isn't bound
+ */
+export function findAction(deviceBindings, input) {
+  const entry = Object.entries(deviceBindings).find(([, inputs]) => inputs.includes(input));
+  return entry ? /** @type {InputAction} */ (entry[0]) : null;
+}
+
+/**
+ * Get a readable name for a key
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string} The key name
+ */
+function describeKey(code) {
+  return KEY_NAMES[code] ?? code.replace(/^(Key|Digit)/, '');
+}
+
+/**
+ * Get a readable name for a gamepad button
+ * @param {number} index - Button index in the standard mapping
+ * @returns {string} The button name
+ */
+function describeButton(index) {
+  return BUTTON_NAMES[index] ?? `Button ${index}`;
+}
+
+/**
+ * Get a readable name for a key or gamepad button
+ * @param {'keyboard'|'gamepad'} device - Device the input belongs to
+ * @param {string|number} input - Key code or button index
+ * @returns {string} The input name
+ */
+export function describeInput(device, input) {
+  return device === 'keyboard' ? describeKey(String(input)) : describeButton(Number(input));
+}
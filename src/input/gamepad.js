@@ -0,0 +1,164 @@
+import settings from '../settings.json';
+import { getDefaultBindings } from './bindings.js';
+
+/**
+ * @typedef {import('../types/index.js').InputAction} InputAction
+ */
+
+/** Actions that move the paddle while their button is held, rather than firing once */
+const MOVE_ACTIONS = new Set(['moveLeft', 'moveRight']);
+
+/**
+ * Read the connected gamepads from the browser
+ * @returns {(Gamepad|null)[]} Gamepads, with null in empty slots
+ */
+function getBrowserGamepads() {
+  return navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+}
+
+/**
+ * Moves the local paddle from a gamepad's left stick or the buttons bound to moveLeft and
+ * moveRight (the D-pad by default), and fires the actions bound to other buttons. Gamepads
+ * have no events for input, so the state is polled once per frame.
+ */
+export class GamepadController {
+  /**
+   * Create a new GamepadController instance
+   * @param {Object} [options] - Gamepad options
+   * @param {() => (Gamepad|null)[]} [options.getGamepads] - Gamepad source, polled every frame
+   * @param {number} [options.deadzone] - Stick travel that is ignored (0-1)
+   * @param {number} [options.sensitivity] - Multiplier for the paddle speed
+   * @param {number} [options.maxSpeed] - Paddle speed at full stick travel (px/s)
+   * @param {Record<string, number[]>} [options.bindings] - Button indexes by action
+   * @param {(action: InputAction) => void} [options.onAction] - Called when a button bound
+   *   to an action other than movement is pressed
+   */
+  constructor({
+    getGamepads = getBrowserGamepads,
+    deadzone = settings.gamepad.deadzone,
+    sensitivity = settings.gamepad.sensitivity,
+    maxSpeed = settings.gamepad.maxSpeed,
+    bindings = getDefaultBindings().gamepad,
+    onAction,
+  } = {}) {
+    this.getGamepads = getGamepads;
+    this.deadzone = deadzone;
+    this.sensitivity = sensitivity;
+    this.maxSpeed = maxSpeed;
+    this.bindings = bindings;
+    this.onAction = onAction;
+
+    /** Stick or movement button position from the last poll, -1 (left) to 1 (right) */
+    this.axis = 0;
+    /** @type {Set<number>} Buttons held at the last poll, to fire actions on press only */
+    this.held = new Set();
+  }
+
+  /**
+   * Use new button bindings
+   * @param {Record<string, number[]>} bindings - Button indexes by action
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Read the first connected gamepad and fire button actions
+   */
+  poll() {
+    const gamepad = this.getGamepad();
+    if (!gamepad) {
+      this.axis = 0;
+      this.held.clear();
+      return;
+    }
+
+    const isPressed = index => Boolean(gamepad.buttons[index]?.pressed);
+    const isActive = action => this.bindings[action].some(isPressed);
+
+    // Movement buttons win over the stick
+    const direction = Number(isActive('moveRight')) - Number(isActive('moveLeft'));
+    this.axis = direction || this.applyDeadzone(gamepad.axes[0] ?? 0);
+
+    Object.entries(this.bindings).forEach(([action, buttons]) => {
+      if (MOVE_ACTIONS.has(action)) return;
+
+      const justPressed = buttons.filter(index => this.wasPressed(index, isPressed));
+      if (justPressed.length > 0 && this.onAction) {
+        this.onAction(/** @type {InputAction} */ (action));
+      }
+    });
+  }
+
+  /**
+   * Get the buttons held down right now, e.g. to bind the next one pressed
+   * @returns {number[]} Button indexes
+   */
+  pressedButtons() {
+    const gamepad = this.getGamepad();
+    if (!gamepad) {
+      return [];
+    }
+
+    return gamepad.buttons.flatMap((button, index) => (button.pressed ? [index] : []));
+  }
+
+  /**
+   * Move the paddle for one frame from the last poll
+   * @param {number} x - Current paddle x position
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {number|null} The new paddle x position, or null if the stick is at rest
+   */
+  update(x, deltaTime) {
+    if (this.axis === 0) {
+      return null;
+    }
+
+    return x + this.axis * this.maxSpeed * this.sensitivity * deltaTime;
+  }
+
+  /**
+   * Find the gamepad to read, the first one connected
+   * @returns {Gamepad|undefined} The gamepad, if any
+   * @private
+   */
+  getGamepad() {
+    return this.getGamepads().find(pad => pad?.connected);
+  }
+
+  /**
+   * Ignore small stick movements, and rescale the rest so movement starts from zero
+   * @param {number} value - Raw axis value, -1 to 1
+   * @returns {number} Axis value with the deadzone removed
+   * @private
+   */
+  applyDeadzone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= this.deadzone) {
+      return 0;
+    }
+
+    return (Math.sign(value) * (Math.min(magnitude, 1) - this.deadzone)) / (1 - this.deadzone);
+  }
+
+  /**
+   * Track a button and check whether it went down since the last poll
+   * @param {number} index - Button index
+   * @param {(index: number) => boolean} isPressed - Reads a button of the current gamepad
+   * @returns {boolean} Whether the button was just pressed
+   * @private
+   */
+  wasPressed(index, isPressed) {
+    if (!isPressed(index)) {
+      this.held.delete(index);
+      return false;
+    }
+
+    if (this.held.has(index)) {
+      return false;
+    }
+
+    this.held.add(index);
+    return true;
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Central input handling: turns touch, mouse, tilt, keyboard and gamepad input into actions
+ * @module input
+ */
+
+import { KeyboardController } from './keyboard.js';
+import { GamepadController } from './gamepad.js';
+import { PointerController } from './pointer.js';
+import { TiltController } from './tilt.js';
+import { loadBindings } from './bindings.js';
+
+/**
+ * @typedef {import('../types/index.js').InputAction} InputAction
+ * @typedef {import('../types/index.js').InputBindings} InputBindings
+ */
+
+/**
+ * Combines every input device. Each frame, update() works out where the local paddle goes:
+ * setPosition from touch, mouse or tilt, then moveLeft and moveRight from the keyboard and
+ * gamepad. Pause and ready fire onAction as soon as they are pressed.
+ */
+export class InputManager {
+  /**
+   * Create a new InputManager instance
+   * @param {Object} options - Input options
+   * @param {HTMLElement} options.field - The element showing the field, usually the game canvas
+   * @param {InputBindings} [options.bindings] - Key and button bindings
+   * @param {(action: InputAction) => void} [options.onAction] - Called for pause and ready
+   * @param {() => (Gamepad|null)[]} [options.getGamepads] - Gamepad source
+   */
+  constructor({ field, bindings = loadBindings(), onAction, getGamepads }) {
+    this.bindings = bindings;
+    this.onAction = onAction;
+
+    const handleAction = action => {
+      if (this.onAction) this.onAction(action);
+    };
+
+    this.pointer = new PointerController(field);
+    this.tilt = new TiltController();
+    this.keyboard = new KeyboardController({
+      bindings: bindings.keyboard,
+      onAction: handleAction,
+    });
+    this.gamepad = new GamepadController({
+      bindings: bindings.gamepad,
+      onAction: handleAction,
+      getGamepads,
+    });
+  }
+
+  /**
+   * Start listening for input events
+   */
+  attach() {
+    this.pointer.attach();
+    this.keyboard.attach();
+  }
+
+  /**
+   * Stop listening for input events
+   */
+  detach() {
+    this.pointer.detach();
+    this.keyboard.detach();
+    this.tilt.disable();
+  }
+
+  /**
+   * Use new key and button bindings
+   * @param {InputBindings} bindings - The bindings
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.keyboard.setBindings(bindings.keyboard);
+    this.gamepad.setBindings(bindings.gamepad);
+  }
+
+  /**
+   * Forget input from before a game starts, and take the current tilt as the center
+   */
+  reset() {
+    this.pointer.reset();
+    this.keyboard.reset();
+    this.tilt.calibrate();
+  }
+
+  /**
+   * Read the gamepad, which has no events. Call once per frame, also outside of games so its
+   * buttons work on the menus.
+   */
+  poll() {
+    this.gamepad.poll();
+  }
+
+  /**
+   * Work out where the local paddle goes this frame
+   * @param {number} x - Current paddle x position
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {number|null} The new paddle x position, or null if there was no input
+   */
+  update(x, deltaTime) {
+    // setPosition: touch and mouse win over tilt when both are used
+    const tiltX = this.tilt.update(deltaTime);
+    const pointerX = this.pointer.update();
+    const positionX = pointerX ?? tiltX;
+
+    // moveLeft and moveRight
+    const keyboardX = this.keyboard.update(positionX ?? x, deltaTime);
+    const gamepadX = this.gamepad.update(keyboardX ?? positionX ?? x, deltaTime);
+
+    return gamepadX ?? keyboardX ?? positionX;
+  }
+}
@@ -0,0 +1,174 @@
+import settings from '../settings.json';
+import { findAction, getDefaultBindings } from './bindings.js';
+
+/**
+ * @typedef {import('../types/index.js').InputAction} InputAction
+ */
+
+/** Direction of the actions that move the paddle while their key is held */
+const MOVE_DIRECTIONS = {
+  moveLeft: -1,
+  moveRight: 1,
+};
+
+/** Elements that take typed input, where keys shouldn't move the paddle */
+const TEXT_ENTRY_TAGS = new Set(['INPUT', 'TEXTAREA', 'SELECT']);
+
+/** Keys that press a focused button */
+const BUTTON_KEYS = new Set(['Enter', 'NumpadEnter', 'Space']);
+
+/**
+ * Moves the local paddle from the keys bound to moveLeft and moveRight (arrow keys and A/D by
+ * default). The paddle speeds up while a key is held, up to a max speed, and stops as soon as
+ * the keys are released. Other bound keys fire their action when pressed.
+ */
+export class KeyboardController {
+  /**
+   * Create a new KeyboardController instance
+   * @param {Object} [options] - Keyboard options
+   * @param {Window|HTMLElement} [options.target] - Element to listen for key events on
+   * @param {Record<string, string[]>} [options.bindings] - Key codes by action
+   * @param {number} [options.acceleration] - Paddle acceleration (px/s²)
+   * @param {number} [options.maxSpeed] - Max paddle speed (px/s)
+   * @param {(action: InputAction) => void} [options.onAction] - Called when an action key
+   *   other than a movement key is pressed
+   */
+  constructor({
+    target = window,
+    bindings = getDefaultBindings().keyboard,
+    acceleration = settings.keyboard.acceleration,
+    maxSpeed = settings.keyboard.maxSpeed,
+    onAction,
+  } = {}) {
+    this.target = target;
+    this.bindings = bindings;
+    this.acceleration = acceleration;
+    this.maxSpeed = maxSpeed;
+    this.onAction = onAction;
+    /** @type {Map<string, InputAction>} Movement keys currently held, with their action */
+    this.pressed = new Map();
+    this.velocity = 0;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * Start listening for key events
+   */
+  attach() {
+    this.target.addEventListener('keydown', this.handleKeyDown);
+    this.target.addEventListener('keyup', this.handleKeyUp);
+    // Key-up events are lost while the window is in the background
+    this.target.addEventListener('blur', this.reset);
+  }
+
+  /**
+   * Stop listening for key events
+   */
+  detach() {
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+    this.target.removeEventListener('keyup', this.handleKeyUp);
+    this.target.removeEventListener('blur', this.reset);
+    this.reset();
+  }
+
+  /**
+   * Use new key bindings
+   * @param {Record<string, string[]>} bindings - Key codes by action
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.reset();
+  }
+
+  /**
+   * Release all keys and stop the paddle
+   */
+  reset() {
+    this.pressed.clear();
+    this.velocity = 0;
+  }
+
+  /**
+   * Direction the held keys point in
+   * @returns {number} -1 for left, 1 for right, 0 for none or both
+   */
+  get direction() {
+    let direction = 0;
+    this.pressed.forEach(action => {
+      direction += MOVE_DIRECTIONS[action];
+    });
+    return Math.sign(direction);
+  }
+
+  /**
+   * Move the paddle for one frame
+   * @param {number} x - Current paddle x position
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {number|null} The new paddle x position, or null if no keys are held
+   */
+  update(x, deltaTime) {
+    const direction = this.direction;
+    if (direction === 0) {
+      this.velocity = 0;
+      return null;
+    }
+
+    // Turning around starts again from a standstill
+    if (Math.sign(this.velocity) !== direction) {
+      this.velocity = 0;
+    }
+
+    this.velocity += direction * this.acceleration * deltaTime;
+    this.velocity = Math.max(-this.maxSpeed, Math.min(this.maxSpeed, this.velocity));
+
+    return x + this.velocity * deltaTime;
+  }
+
+  /**
+   * Handle a key being pressed
+   * @param {KeyboardEvent} event - Key event
+   * @private
+   */
+  handleKeyDown(event) {
+    const action = findAction(this.bindings, event.code);
+    if (!action || this.isHandledByTarget(event)) {
+      return;
+    }
+
+    // Arrow keys would otherwise scroll the page
+    event.preventDefault();
+
+    if (action in MOVE_DIRECTIONS) {
+      this.pressed.set(event.code, action);
+    } else if (!event.repeat && this.onAction) {
+      this.onAction(action);
+    }
+  }
+
+  /**
+   * Handle a key being released
+   * @param {KeyboardEvent} event - Key event
+   * @private
+   */
+  handleKeyUp(event) {
+    this.pressed.delete(event.code);
+  }
+
+  /**
+   * Check whether a key event belongs to the focused element: typing into a form field, or
+   * pressing a button, which clicks it without our help
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} Whether the focused element handles the key
+   * @private
+   */
+  isHandledByTarget(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+    return (
+      TEXT_ENTRY_TAGS.has(target?.tagName) ||
+      (target?.tagName === 'BUTTON' && BUTTON_KEYS.has(event.code))
+    );
+  }
+}
@@ -0,0 +1,77 @@
+import settings from '../settings.json';
+
+/**
+ * Moves the local paddle to wherever the player touches or points on the field. Touches and
+ * mouse moves only record the position; it is applied on the next frame.
+ */
+export class PointerController {
+  /**
+   * Create a new PointerController instance
+   * @param {HTMLElement} element - The element showing the field, usually the game canvas
+   */
+  constructor(element) {
+    this.element = element;
+    /** @type {number|null} Field x position pointed at since the last frame */
+    this.targetX = null;
+
+    this.handlePointer = this.handlePointer.bind(this);
+  }
+
+  /**
+   * Start listening for touch and mouse events
+   */
+  attach() {
+    ['mousedown', 'mousemove', 'touchstart', 'touchmove'].forEach(type => {
+      this.element.addEventListener(type, this.handlePointer);
+    });
+  }
+
+  /**
+   * Stop listening for touch and mouse events
+   */
+  detach() {
+    ['mousedown', 'mousemove', 'touchstart', 'touchmove'].forEach(type => {
+      this.element.removeEventListener(type, this.handlePointer);
+    });
+    this.reset();
+  }
+
+  /**
+   * Forget the position pointed at
+   */
+  reset() {
+    this.targetX = null;
+  }
+
+  /**
+   * Take the position pointed at since the last frame
+   * @returns {number|null} The field x position, or null if the pointer hasn't moved
+   */
+  update() {
+    const x = this.targetX;
+    this.targetX = null;
+    return x;
+  }
+
+  /**
+   * Handle a touch or mouse event on the field
+   * @param {TouchEvent|MouseEvent} event - Touch or mouse event
+   * @private
+   */
+  handlePointer(event) {
+    let clientX;
+    if ('touches' in event) {
+      if (event.touches.length === 0) return;
+      clientX = event.touches[0].clientX;
+    } else {
+      clientX = event.clientX;
+    }
+
+    // Keep the page from scrolling or zooming while dragging the paddle
+    event.preventDefault();
+
+    // Map screen coordinates to game coordinates
+    const rect = this.element.getBoundingClientRect();
+    this.targetX = (clientX - rect.left) * (settings.fieldWidth / rect.width);
+  }
+}
@@ -0,0 +1,167 @@
+import settings from '../settings.json';
+
+/**
+ * Read how far the screen is rotated from its natural orientation
+ * @returns {number} Rotation in degrees: 0, 90, 180 or 270
+ */
+function readScreenAngle() {
+  return window.screen?.orientation?.angle ?? 0;
+}
+
+/**
+ * Ask for motion sensor access where the browser requires it (iOS Safari). Must be called
+ * from a user gesture.
+ * @returns {Promise<boolean>} Whether orientation events are allowed
+ */
+async function requestOrientationPermission() {
+  const OrientationEvent = /** @type {any} */ (window.DeviceOrientationEvent);
+  if (!OrientationEvent) {
+    return false;
+  }
+
+  if (typeof OrientationEvent.requestPermission !== 'function') {
+    return true;
+  }
+
+  return (await OrientationEvent.requestPermission()) === 'granted';
+}
+
+/**
+ * Steers the local paddle by tilting the phone left and right. The angle the phone is held
+ * at when calibrating counts as the center, and tilting by the max angle either way reaches
+ * the edge of the field.
+ */
+export class TiltController {
+  /**
+   * Create a new TiltController instance
+   * @param {Object} [options] - Tilt options
+   * @param {Window|EventTarget} [options.target] - Source of 'deviceorientation' events
+   * @param {() => number} [options.getScreenAngle] - Screen rotation in degrees
+   * @param {() => Promise<boolean>} [options.requestPermission] - Asks for sensor access
+   * @param {number} [options.maxAngle] - Tilt that reaches the edge of the field (degrees)
+   * @param {number} [options.sensitivity] - Multiplier for the tilt
+   * @param {number} [options.smoothing] - Time constant of the smoothing (s), 0 for none
+   */
+  constructor({
+    target = window,
+    getScreenAngle = readScreenAngle,
+    requestPermission = requestOrientationPermission,
+    maxAngle = settings.tilt.maxAngle,
+    sensitivity = settings.tilt.sensitivity,
+    smoothing = settings.tilt.smoothing,
+  } = {}) {
+    this.target = target;
+    this.getScreenAngle = getScreenAngle;
+    this.requestPermission = requestPermission;
+    this.maxAngle = maxAngle;
+    this.sensitivity = sensitivity;
+    this.smoothing = smoothing;
+    this.enabled = false;
+
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.reset();
+  }
+
+  /**
+   * Start listening to the orientation sensor
+   * @returns {Promise<boolean>} Whether tilt steering could be turned on
+   */
+  async enable() {
+    if (this.enabled) return true;
+
+    if (!(await this.requestPermission())) {
+      return false;
+    }
+
+    this.reset();
+    this.target.addEventListener('deviceorientation', this.handleOrientation);
+    this.enabled = true;
+    return true;
+  }
+
+  /**
+   * Stop listening to the orientation sensor
+   */
+  disable() {
+    this.target.removeEventListener('deviceorientation', this.handleOrientation);
+    this.enabled = false;
+    this.reset();
+  }
+
+  /**
+   * Forget the readings and the calibration
+   */
+  reset() {
+    /** @type {number|null} Latest left/right tilt (degrees) */
+    this.tilt = null;
+    /** @type {number|null} Tilt that maps to the center of the field (degrees) */
+    this.neutral = null;
+    /** @type {number|null} Smoothed paddle x position */
+    this.x = null;
+  }
+
+  /**
+   * Use the current tilt as the center. Without a reading yet, the next reading is used.
+   */
+  calibrate() {
+    this.neutral = this.tilt;
+  }
+
+  /**
+   * Get the paddle position for the current tilt
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {number|null} The paddle x position, or null if there is no reading yet
+   */
+  update(deltaTime) {
+    if (!this.enabled || this.tilt === null) {
+      return null;
+    }
+
+    const offset = ((this.tilt - this.neutral) / this.maxAngle) * this.sensitivity;
+    const targetX = (settings.fieldWidth / 2) * (1 + Math.max(-1, Math.min(1, offset)));
+
+    if (this.x === null || this.smoothing <= 0) {
+      this.x = targetX;
+    } else {
+      this.x += (targetX - this.x) * (1 - Math.exp(-deltaTime / this.smoothing));
+    }
+
+    return this.x;
+  }
+
+  /**
+   * Handle a reading from the orientation sensor
+   * @param {DeviceOrientationEvent} event - Orientation event
+   * @private
+   */
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) {
+      return;
+    }
+
+    this.tilt = this.leftRightTilt(event.beta, event.gamma);
+    if (this.neutral === null) {
+      this.neutral = this.tilt;
+    }
+  }
+
+  /**
+   * Work out the tilt towards the right of the screen, whichever way the phone is turned
+   * @param {number} beta - Front/back tilt of the device (degrees)
+   * @param {number} gamma - Left/right tilt of the device (degrees)
+   * @returns {number} Tilt to the right of the screen (degrees)
+   * @private
+   */
+  leftRightTilt(beta, gamma) {
+    switch (((this.getScreenAngle() % 360) + 360) % 360) {
+      case 90:
+        return beta;
+      case 180:
+        return -gamma;
+      case 270:
+        return -beta;
+      default:
+        return gamma;
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import { createJoinLink, readOfferFromLink, clearOfferFromLink } from '../link.js';
+
+/**
+ * Create a fake page location from a URL
+ * @param {string} url - The page URL
+ * @returns {Location} The location
+ */
+function locationOf(url) {
+  return /** @type {any} */ (new URL(url));
+}
+
+/** An offer code, as copied from the host */
+const OFFER = 'EQRrM1pxGFEyeDBiVjdwUjFzOFl0NXVXOWVaM2FMZnuL8GVfeOJRO6xv8z9G';
+
+describe('createJoinLink', () => {
+  test('puts the offer in the fragment of the current page', () => {
+    const link = createJoinLink(OFFER, locationOf('https://example.com/pong/?lang=en#old'));
+
+    expect(link).toBe(`https://example.com/pong/#offer=${OFFER}`);
+  });
+
+  test('escapes offers that are not URL-safe', () => {
+    const offer = '{"type":"offer","sdp":"v=0\\r\\n"}';
+    const link = createJoinLink(offer, locationOf('https://example.com/'));
+
+    expect(link).not.toMatch(/[{}" ]/);
+    expect(readOfferFromLink(locationOf(link))).toBe(offer);
+  });
+});
+
+describe('readOfferFromLink', () => {
+  test('reads the offer from a join link', () => {
+    const link = createJoinLink(OFFER, locationOf('https://example.com/pong/'));
+
+    expect(readOfferFromLink(locationOf(link))).toBe(OFFER);
+  });
+
+  test.each([
+    ['no fragment', 'https://example.com/pong/'],
+    ['another fragment', 'https://example.com/pong/#rules'],
+    ['an empty offer', 'https://example.com/pong/#offer='],
+    ['the offer in the query instead', `https://example.com/pong/?offer=${OFFER}`],
+  ])('finds no offer with %s', (name, url) => {
+    expect(readOfferFromLink(locationOf(url))).toBeNull();
+  });
+
+  test('reads the page location by default', () => {
+    window.history.replaceState(null, '', `/pong/?transport=broadcast#offer=${OFFER}`);
+
+    expect(readOfferFromLink()).toBe(OFFER);
+  });
+});
+
+describe('clearOfferFromLink', () => {
+  test('drops the fragment but keeps the path and query', () => {
+    const history = { replaceState: jest.fn() };
+
+    clearOfferFromLink(
+      locationOf(`https://example.com/pong/?transport=broadcast#offer=${OFFER}`),
+      /** @type {any} */ (history)
+    );
+
+    expect(history.replaceState).toHaveBeenCalledWith(null, '', '/pong/?transport=broadcast');
+  });
+
+  test('leaves no offer behind for a reload to join again', () => {
+    window.history.replaceState(null, '', `/pong/?transport=broadcast#offer=${OFFER}`);
+    const historyLength = window.history.length;
+
+    clearOfferFromLink();
+
+    expect(window.location.hash).toBe('');
+    expect(window.location.search).toBe('?transport=broadcast');
+    expect(readOfferFromLink()).toBeNull();
+    // Replaced rather than pushed, so Back doesn't return to the join link
+    expect(window.history.length).toBe(historyLength);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * URL-safe base64 encoding without padding (RFC 4648 §5)
+ * @module base64url
+ */
+
+/**
+ * Encode bytes as a base64url string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} The base64url string
+ */
+export function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} text - The base64url string
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,24 @@
+/**
+ * Saving files from the browser
+ * @module file
+ */
+
+/**
+ * Offer text to the player as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [type='application/json'] - MIME type of the file
+ */
+export function downloadFile(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // The download has started, so the file no longer needs to stay in memory
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
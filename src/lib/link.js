@@ -0,0 +1,37 @@
+/**
+ * Join links that carry the host's offer in the URL fragment
+ * @module link
+ */
+
+/** Fragment parameter holding the offer */
+const OFFER_PARAM = 'offer';
+
+/**
+ * Create a link that opens the game and joins the host's session.
+ * The offer goes in the fragment so it never reaches the web server.
+ * @param {string} offer - The encoded offer
+ * @param {Location} [location=window.location] - Location of the current page
+ * @returns {string} The join link
+ */
+export function createJoinLink(offer, location = window.location) {
+  return `${location.origin}${location.pathname}#${OFFER_PARAM}=${encodeURIComponent(offer)}`;
+}
+
+/**
+ * Read the offer from a join link
+ * @param {Location} [location=window.location] - Location of the current page
+ * @returns {string|null} The offer, or null if the page wasn't opened from a join link
+ */
+export function readOfferFromLink(location = window.location) {
+  const params = new URLSearchParams(location.hash.slice(1));
+  return params.get(OFFER_PARAM) || null;
+}
+
+/**
+ * Remove the offer from the address bar so a reload doesn't try to join again
+ * @param {Location} [location=window.location] - Location of the current page
+ * @param {History} [history=window.history] - History of the current page
+ */
+export function clearOfferFromLink(location = window.location, history = window.history) {
+  history.replaceState(null, '', location.pathname + location.search);
+}
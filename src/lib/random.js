@@ -0,0 +1,29 @@
+/**
+ * Seedable pseudo-random number generation so both players can reproduce the same physics
+ * @module random
+ */
+
+/**
+ * Create a new random seed to share with the other player
+ * @returns {number} A 32-bit unsigned integer seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Function returning a float in the range [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import { encodeMessage, decodeMessage } from '../codec.js';
+
+const paddle = {
+  type: 'paddle',
+  data: { seq: 4321, x: 287.53125, time: 1718000000123.25 },
+};
+
+const ball = {
+  type: 'ball',
+  data: {
+    x: 301.1234567,
+    y: 812.75,
+    velocityX: -353.5533905932738,
+    velocityY: 353.5533905932738,
+    speed: 500,
+    radius: 10,
+    time: 1718000000456.5,
+  },
+};
+
+/**
+ * Encode a message that is sent as a binary frame
+ * @param {import('../../types/index.js').GameMessage} message - A 'paddle' or 'ball' message
+ * @returns {ArrayBuffer} The frame
+ */
+function encodeFrame(message) {
+  return /** @type {ArrayBuffer} */ (encodeMessage(message));
+}
+
+describe('encodeMessage / decodeMessage', () => {
+  test.each([paddle, ball])('round-trips a $type message exactly', message => {
+    const encoded = encodeMessage(message);
+
+    expect(encoded).toBeInstanceOf(ArrayBuffer);
+    expect(decodeMessage(encoded)).toEqual(message);
+  });
+
+  test('decodes a frame viewed through a typed array with an offset', () => {
+    const encoded = new Uint8Array(encodeFrame(paddle));
+    const padded = new Uint8Array(encoded.byteLength + 3);
+    padded.set(encoded, 3);
+
+    expect(decodeMessage(padded.subarray(3))).toEqual(paddle);
+  });
+
+  test('encodes other messages as JSON', () => {
+    const message = { type: 'score', data: { localPoints: 1, remotePoints: 2 } };
+
+    expect(encodeMessage(message)).toBe(JSON.stringify(message));
+    expect(decodeMessage(JSON.stringify(message))).toEqual(message);
+  });
+
+  test("falls back to JSON for bytes starting with '{'", () => {
+    const message = { type: 'pause' };
+    const bytes = new TextEncoder().encode(JSON.stringify(message));
+
+    expect(bytes[0]).toBe('{'.charCodeAt(0));
+    expect(decodeMessage(bytes)).toEqual(message);
+    expect(decodeMessage(bytes.buffer)).toEqual(message);
+  });
+
+  test('rejects an unknown type byte', () => {
+    expect(() => decodeMessage(new Uint8Array([0x7f, 0, 0]))).toThrow(
+      'Unknown binary frame type: 127'
+    );
+  });
+
+  test('rejects truncated and oversized frames', () => {
+    const encoded = new Uint8Array(encodeFrame(ball));
+    const oversized = new Uint8Array(encoded.byteLength + 1);
+    oversized.set(encoded);
+
+    expect(() => decodeMessage(encoded.slice(0, -1))).toThrow('wrong length');
+    expect(() => decodeMessage(oversized)).toThrow('wrong length');
+  });
+
+  test.each([paddle, ball])('sends $type in under half the bytes of JSON', message => {
+    const binarySize = encodeFrame(message).byteLength;
+    const jsonSize = new TextEncoder().encode(JSON.stringify(message)).byteLength;
+
+    expect(binarySize).toBe(message.type === 'paddle' ? 21 : 57);
+    expect(binarySize).toBeLessThan(jsonSize / 2);
+  });
+});
@@ -0,0 +1,98 @@
+import { Connection } from '../connection.js';
+import { LoopbackTransport } from '../loopback.js';
+import { PROTOCOL_VERSION } from '../protocol.js';
+
+/** Keep-alive messages, also passed on to the game for its ping display */
+const KEEP_ALIVE = ['ping', 'pong'];
+
+/**
+ * Create a connection that collects the game messages it receives
+ * @param {boolean} isHost - Whether this end is the host
+ * @returns {{ connection: Connection, messages: any[], connected: Promise<void> }} The
+ *   connection, its received messages, and a promise for when it is connected
+ */
+function createEnd(isHost) {
+  const messages = [];
+  let onConnected;
+  const connected = new Promise(resolve => {
+    onConnected = resolve;
+  });
+
+  const connection = new Connection({
+    isHost,
+    onConnected,
+    onMessage: message => {
+      if (!KEEP_ALIVE.includes(message.type)) {
+        messages.push(message);
+      }
+    },
+    onDisconnected: () => {},
+  });
+
+  return { connection, messages, connected };
+}
+
+/**
+ * Wait until a condition holds, letting the loopback deliver messages in between
+ * @param {() => boolean} condition - The condition
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  expect(condition()).toBe(true);
+}
+
+describe('Connection over LoopbackTransport', () => {
+  let host;
+  let guest;
+
+  beforeEach(() => {
+    host = createEnd(true);
+    guest = createEnd(false);
+
+    const [hostTransport, guestTransport] = LoopbackTransport.createPair();
+    host.connection.useTransport(hostTransport);
+    guest.connection.useTransport(guestTransport);
+  });
+
+  afterEach(() => {
+    host.connection.disconnect();
+    guest.connection.disconnect();
+  });
+
+  test('exchanges hellos before either side is connected', async () => {
+    await Promise.all([host.connected, guest.connected]);
+
+    expect(host.connection.remoteVersion).toBe(PROTOCOL_VERSION);
+    expect(guest.connection.remoteVersion).toBe(PROTOCOL_VERSION);
+  });
+
+  test('delivers config and startCountdown from host to guest in order', async () => {
+    await Promise.all([host.connected, guest.connected]);
+
+    const config = { winScore: 5, bestOf: 1 };
+    const countdown = { timestamp: Date.now() + 100, seed: 1234 };
+    host.connection.sendMessage({ type: 'config', data: config });
+    host.connection.sendMessage({ type: 'startCountdown', data: countdown });
+
+    await waitFor(() => guest.messages.length >= 2);
+    expect(guest.messages.map(message => message.type)).toEqual(['config', 'startCountdown']);
+    expect(guest.messages[0].data).toEqual(config);
+    expect(guest.messages[1].data).toEqual(countdown);
+  });
+
+  test('syncs both clocks from the ping exchange', async () => {
+    await Promise.all([host.connected, guest.connected]);
+    await waitFor(() => host.connection.clock.isSynced() && guest.connection.clock.isSynced());
+
+    const now = Date.now();
+    expect(Math.abs(guest.connection.toLocalTime(now) - now)).toBeLessThan(50);
+  });
+
+  test('rejects game messages that fail validation', async () => {
+    await Promise.all([host.connected, guest.connected]);
+
+    expect(host.connection.sendMessage({ type: 'startCountdown', data: { seed: 1 } })).toBe(false);
+  });
+});
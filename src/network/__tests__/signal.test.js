@@ -0,0 +1,299 @@
+import { encodeSignal, decodeSignal, parseSignal, isCompactSignal } from '../signal.js';
+
+const CHROME_FINGERPRINT =
+  '7B:8B:F0:65:5F:78:E2:51:3B:AC:6F:F3:3F:46:1B:35:DC:B8:5F:64:1A:24:C2:43:F0:A1:58:D0:A1:2C:19:08';
+const FIREFOX_FINGERPRINT =
+  'A6:1D:92:0C:5E:3B:77:F4:08:C9:2E:D1:6A:B3:54:0F:E8:71:9C:26:3D:4B:A0:F5:17:82:6E:C3:D9:5A:0B:E4';
+
+/**
+ * Join SDP lines the way browsers do
+ * @param {string[]} lines - SDP lines
+ * @returns {string} The SDP
+ */
+const sdp = lines => [...lines, ''].join('\r\n');
+
+/** Chrome offer with the candidates gathered into the SDP */
+const chromeOffer = {
+  type: 'offer',
+  sdp: sdp([
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=extmap-allow-mixed',
+    'a=msid-semantic: WMS',
+    'm=application 54400 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 203.0.113.7',
+    'a=candidate:1467250027 1 udp 2122260223 192.168.1.20 54400 typ host generation 0 network-id 1',
+    'a=candidate:559267639 1 udp 2122129151 3b1f5a9c-2c4e-4d7b-9f2a-0e8c6b7d5a41.local 54401 typ host generation 0 network-id 2',
+    'a=candidate:1853887674 1 udp 1686052607 203.0.113.7 54400 typ srflx raddr 192.168.1.20 rport 54400 generation 0 network-id 1',
+    'a=candidate:1467250027 1 tcp 1518280447 192.168.1.20 9 typ host tcptype active generation 0 network-id 1',
+    'a=ice-ufrag:k3Zq',
+    'a=ice-pwd:Q2x0bV7pR1s8Yt5uW9eZ3aLf',
+    'a=ice-options:trickle',
+    `a=fingerprint:sha-256 ${CHROME_FINGERPRINT}`,
+    'a=setup:actpass',
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+  ]),
+  iceCandidates: [],
+};
+
+/** Chrome answer with its candidates trickled separately */
+const chromeAnswer = {
+  type: 'answer',
+  sdp: sdp([
+    'v=0',
+    'o=- 8203149826331418734 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    'a=ice-ufrag:Wm7v',
+    'a=ice-pwd:hT4nE8bK2cX6yP0rL5sD9fJq',
+    'a=ice-options:trickle',
+    `a=fingerprint:sha-256 ${CHROME_FINGERPRINT}`,
+    'a=setup:active',
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+  ]),
+  iceCandidates: [
+    {
+      candidate:
+        'candidate:3902465160 1 udp 2122262783 2001:db8::5c1e:2aff:fe3b:11 61212 typ host generation 0 ufrag Wm7v network-id 2',
+      sdpMid: '0',
+      sdpMLineIndex: 0,
+    },
+    {
+      candidate:
+        'candidate:2815162412 1 udp 2122194687 10.0.0.12 61213 typ host generation 0 ufrag Wm7v network-id 1',
+      sdpMid: '0',
+      sdpMLineIndex: 0,
+    },
+    {
+      candidate:
+        'candidate:2815162412 1 udp 2122194687 10.0.0.12 61213 typ host generation 0 ufrag Wm7v network-id 1',
+      sdpMid: '0',
+      sdpMLineIndex: 0,
+    },
+    null,
+  ],
+};
+
+/** Firefox offer, with the fingerprint at session level and upper-case protocols */
+const firefoxOffer = {
+  type: 'offer',
+  sdp: sdp([
+    'v=0',
+    'o=mozilla...THIS_IS_SDPARTA-115.0 5765350547546328766 0 IN IP4 0.0.0.0',
+    's=-',
+    't=0 0',
+    `a=fingerprint:sha-256 ${FIREFOX_FINGERPRINT}`,
+    'a=group:BUNDLE 0',
+    'a=ice-options:trickle',
+    'a=msid-semantic:WMS *',
+    'm=application 50124 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 192.168.1.31',
+    'a=candidate:0 1 UDP 2122252543 2001:db8:85a3::8a2e:370:7334 50123 typ host',
+    'a=candidate:1 1 UDP 2122187007 192.168.1.31 50124 typ host',
+    'a=candidate:2 1 TCP 2105524479 192.168.1.31 9 typ host tcptype active',
+    'a=candidate:3 1 UDP 8265727 198.51.100.4 3478 typ relay raddr 192.168.1.31 rport 50124',
+    'a=sendrecv',
+    'a=end-of-candidates',
+    'a=ice-pwd:5e7d0a6b1c3f9e2d4a8b7c6d5e4f3a2b',
+    'a=ice-ufrag:9f1c2b3a',
+    'a=mid:0',
+    'a=setup:actpass',
+    'a=sctp-port:5000',
+    'a=max-message-size:1073741823',
+  ]),
+};
+
+/** Firefox answer to a Chrome offer */
+const firefoxAnswer = {
+  type: 'answer',
+  sdp: sdp([
+    'v=0',
+    'o=mozilla...THIS_IS_SDPARTA-115.0 2150632947315840531 0 IN IP4 0.0.0.0',
+    's=-',
+    't=0 0',
+    `a=fingerprint:sha-256 ${FIREFOX_FINGERPRINT}`,
+    'a=group:BUNDLE 0',
+    'a=ice-options:trickle',
+    'a=msid-semantic:WMS *',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    'a=candidate:0 1 UDP 2122187007 8c0e4f1a-77d2-4b19-a3e5-6f0b2d9c1e84.local 49152 typ host',
+    'a=candidate:1 1 UDP 1686052863 198.51.100.23 49152 typ srflx raddr 0.0.0.0 rport 0',
+    'a=sendrecv',
+    'a=end-of-candidates',
+    'a=ice-pwd:0b7e5c3a1f9d8e6c4a2b0f1e3d5c7a9b',
+    'a=ice-ufrag:d41e7a0c',
+    'a=mid:0',
+    'a=setup:active',
+    'a=sctp-port:5000',
+    'a=max-message-size:1073741823',
+  ]),
+};
+
+/**
+ * Read an attribute from an SDP
+ * @param {string} text - The SDP
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} The attribute value
+ */
+function attribute(text, name) {
+  return text
+    .split('\r\n')
+    .find(line => line.startsWith(`a=${name}:`))
+    ?.slice(name.length + 3);
+}
+
+/**
+ * Describe the candidates of a decoded signal by what the compact format keeps
+ * @param {import('../../types/index.js').SignalData} signal - The decoded signal
+ * @returns {string[]} 'address port type' for each candidate
+ */
+function describeCandidates(signal) {
+  return signal.iceCandidates.map(({ candidate }) => {
+    const [, , , , address, port, , type] = candidate.split(' ');
+    return `${address} ${port} ${type}`;
+  });
+}
+
+describe('encodeSignal / decodeSignal', () => {
+  test.each([
+    [
+      'Chrome offer',
+      chromeOffer,
+      CHROME_FINGERPRINT,
+      'actpass',
+      [
+        '192.168.1.20 54400 host',
+        '3b1f5a9c-2c4e-4d7b-9f2a-0e8c6b7d5a41.local 54401 host',
+        '203.0.113.7 54400 srflx',
+      ],
+    ],
+    [
+      'Chrome answer',
+      chromeAnswer,
+      CHROME_FINGERPRINT,
+      'active',
+      ['2001:0db8:0000:0000:5c1e:2aff:fe3b:0011 61212 host', '10.0.0.12 61213 host'],
+    ],
+    [
+      'Firefox offer',
+      firefoxOffer,
+      FIREFOX_FINGERPRINT,
+      'actpass',
+      [
+        '2001:0db8:85a3:0000:0000:8a2e:0370:7334 50123 host',
+        '192.168.1.31 50124 host',
+        '198.51.100.4 3478 relay',
+      ],
+    ],
+    [
+      'Firefox answer',
+      firefoxAnswer,
+      FIREFOX_FINGERPRINT,
+      'active',
+      ['8c0e4f1a-77d2-4b19-a3e5-6f0b2d9c1e84.local 49152 host', '198.51.100.23 49152 srflx'],
+    ],
+  ])('round-trips a %s', (name, signal, fingerprint, setup, candidates) => {
+    const code = encodeSignal(signal);
+    expect(isCompactSignal(code)).toBe(true);
+
+    const decoded = parseSignal(code);
+    expect(decoded.type).toBe(signal.type);
+    expect(attribute(decoded.sdp, 'ice-ufrag')).toBe(attribute(signal.sdp, 'ice-ufrag'));
+    expect(attribute(decoded.sdp, 'ice-pwd')).toBe(attribute(signal.sdp, 'ice-pwd'));
+    expect(attribute(decoded.sdp, 'fingerprint')).toBe(`sha-256 ${fingerprint}`);
+    expect(attribute(decoded.sdp, 'setup')).toBe(setup);
+    expect(attribute(decoded.sdp, 'mid')).toBe('0');
+
+    // TCP candidates and duplicates are dropped
+    expect(describeCandidates(decoded)).toEqual(candidates);
+    decoded.iceCandidates.forEach(candidate => {
+      expect(candidate).toMatchObject({ sdpMid: '0', sdpMLineIndex: 0 });
+    });
+  });
+
+  test('makes codes far shorter than JSON', () => {
+    const code = encodeSignal(chromeOffer);
+
+    expect(code.length).toBeLessThan(JSON.stringify(chromeOffer).length / 4);
+  });
+
+  test('ranks rebuilt candidates by type, host first', () => {
+    const priorities = decodeSignal(encodeSignal(chromeOffer)).iceCandidates.map(({ candidate }) =>
+      Number(candidate.split(' ')[3])
+    );
+
+    expect(priorities[0]).toBeGreaterThan(priorities[1]);
+    expect(priorities[1]).toBeGreaterThan(priorities[2]);
+  });
+});
+
+describe('JSON fallback', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('falls back to JSON for a fingerprint other than SHA-256', () => {
+    const signal = {
+      ...chromeOffer,
+      sdp: chromeOffer.sdp.replace(
+        /a=fingerprint:.*/,
+        'a=fingerprint:sha-1 4A:AD:B9:B1:3F:82:18:3B:54:02:12:DF:3E:5D:49:6B:19:E5:7C:AB'
+      ),
+    };
+
+    const code = encodeSignal(signal);
+    expect(code).toBe(JSON.stringify(signal));
+    expect(isCompactSignal(code)).toBe(false);
+    expect(parseSignal(code)).toEqual(signal);
+  });
+
+  test('falls back to JSON for an unknown setup role', () => {
+    const signal = {
+      ...firefoxAnswer,
+      sdp: firefoxAnswer.sdp.replace('setup:active', 'setup:holdconn'),
+    };
+
+    expect(encodeSignal(signal)).toBe(JSON.stringify(signal));
+  });
+
+  test('falls back to JSON for ICE credentials too long to pack', () => {
+    const signal = {
+      ...chromeAnswer,
+      sdp: chromeAnswer.sdp.replace(/a=ice-pwd:.*/, `a=ice-pwd:${'x'.repeat(256)}`),
+    };
+
+    expect(parseSignal(encodeSignal(signal))).toEqual(signal);
+  });
+});
+
+describe('decodeSignal', () => {
+  test('rejects text that is not base64url', () => {
+    expect(() => decodeSignal('not a code!')).toThrow('Invalid connection code');
+  });
+
+  test('rejects truncated codes', () => {
+    const code = encodeSignal(chromeOffer);
+
+    expect(() => decodeSignal(code.slice(0, 20))).toThrow('data is truncated');
+  });
+
+  test('rejects codes from another format version', () => {
+    expect(() => decodeSignal('IA')).toThrow('Unsupported connection code version: 2');
+  });
+});
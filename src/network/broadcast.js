@@ -0,0 +1,195 @@
+/**
+ * BroadcastChannel transport so two tabs on the same machine can play each other
+ */
+
+/**
+ * @typedef {import('../types/index.js').TransportData} TransportData
+ */
+
+/**
+ * @typedef {Object} BroadcastEnvelope
+ * @property {'join'|'welcome'|'data'|'bye'} kind - Envelope kind
+ * @property {string} from - ID of the sending tab
+ * @property {string} [to] - ID of the receiving tab
+ * @property {TransportData} [payload] - Message data for 'data' envelopes
+ */
+
+/** Default channel shared by all Multi Pong tabs */
+const DEFAULT_CHANNEL_NAME = 'multi-pong';
+
+/** How often the guest repeats its join request until a host answers */
+const JOIN_INTERVAL = 500;
+
+/**
+ * Transport that pairs a host tab with a guest tab over a BroadcastChannel
+ */
+export class BroadcastTransport {
+  /**
+   * Create a new BroadcastTransport instance
+   * @param {Object} options - Transport options
+   * @param {boolean} options.isHost - Whether this tab waits for a guest (host) or looks for one
+   * @param {string} [options.channelName] - Name of the BroadcastChannel to use
+   */
+  constructor({ isHost, channelName = DEFAULT_CHANNEL_NAME }) {
+    this.isHost = isHost;
+    this.id = Math.random().toString(36).slice(2);
+    this.remoteId = null;
+    this.isOpen = false;
+    this.channel = new BroadcastChannel(channelName);
+    this._joinInterval = null;
+
+    // Event callbacks
+    this.onMessageCallback = null;
+    this.onOpenCallback = null;
+    this.onCloseCallback = null;
+
+    this.channel.onmessage = event => this._handleEnvelope(event.data);
+
+    // Let the other tab know when this one goes away
+    this._handlePageHide = () => this.close();
+    window.addEventListener('pagehide', this._handlePageHide);
+
+    if (!isHost) {
+      this._post({ kind: 'join', from: this.id });
+      this._joinInterval = setInterval(() => {
+        this._post({ kind: 'join', from: this.id });
+      }, JOIN_INTERVAL);
+    }
+  }
+
+  /**
+   * Handle an envelope from another tab
+   * @param {BroadcastEnvelope} envelope - The received envelope
+   * @private
+   */
+  _handleEnvelope(envelope) {
+    // Ignore traffic addressed to other tabs
+    if (envelope.to && envelope.to !== this.id) return;
+
+    switch (envelope.kind) {
+      case 'join':
+        if (this.isHost && !this.remoteId) {
+          this.remoteId = envelope.from;
+          this._post({ kind: 'welcome', from: this.id, to: this.remoteId });
+          this._open();
+        }
+        break;
+      case 'welcome':
+        if (!this.isHost && !this.remoteId) {
+          this.remoteId = envelope.from;
+          this._open();
+        }
+        break;
+      case 'data':
+        if (this.isOpen && envelope.from === this.remoteId) {
+          this.onMessageCallback?.(envelope.payload);
+        }
+        break;
+      case 'bye':
+        if (envelope.from === this.remoteId) {
+          this._shutdown();
+        }
+        break;
+      default:
+        console.warn('Unknown broadcast envelope:', envelope.kind);
+    }
+  }
+
+  /**
+   * Mark the transport as open and notify
+   * @private
+   */
+  _open() {
+    if (this._joinInterval) {
+      clearInterval(this._joinInterval);
+      this._joinInterval = null;
+    }
+
+    this.isOpen = true;
+    this.onOpenCallback?.();
+  }
+
+  /**
+   * Post an envelope on the channel
+   * @param {BroadcastEnvelope} envelope - The envelope to post
+   * @private
+   */
+  _post(envelope) {
+    try {
+      this.channel.postMessage(envelope);
+    } catch (error) {
+      console.error('Error posting to broadcast channel:', error);
+    }
+  }
+
+  /**
+   * Send data to the paired tab
+   * @param {TransportData} data - Data to send
+   */
+  send(data) {
+    if (!this.isOpen) return;
+
+    this._post({ kind: 'data', from: this.id, to: this.remoteId, payload: data });
+  }
+
+  /**
+   * Set the callback for incoming data
+   * @param {Function} callback - Data callback
+   */
+  onMessage(callback) {
+    this.onMessageCallback = callback;
+  }
+
+  /**
+   * Set the callback for when the transport opens
+   * @param {Function} callback - Open callback
+   */
+  onOpen(callback) {
+    this.onOpenCallback = callback;
+  }
+
+  /**
+   * Set the callback for when the transport closes
+   * @param {Function} callback - Close callback
+   */
+  onClose(callback) {
+    this.onCloseCallback = callback;
+  }
+
+  /**
+   * Tell the paired tab we are leaving and close the channel
+   */
+  close() {
+    if (!this.channel) return;
+
+    if (this.remoteId) {
+      this._post({ kind: 'bye', from: this.id, to: this.remoteId });
+    }
+
+    this._shutdown();
+  }
+
+  /**
+   * Release the channel and notify
+   * @private
+   */
+  _shutdown() {
+    if (!this.channel) return;
+
+    if (this._joinInterval) {
+      clearInterval(this._joinInterval);
+      this._joinInterval = null;
+    }
+
+    window.removeEventListener('pagehide', this._handlePageHide);
+    this.channel.close();
+    this.channel = null;
+
+    const wasOpen = this.isOpen;
+    this.isOpen = false;
+
+    if (wasOpen) {
+      this.onCloseCallback?.();
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * NTP-style estimate of the offset between this player's clock and the other player's
+ * @module clock
+ */
+
+/**
+ * @typedef {Object} ClockSample
+ * @property {number} offset - Remote clock minus local clock (ms)
+ * @property {number} rtt - Round trip time of the exchange (ms)
+ */
+
+/** Samples kept; the one with the lowest round trip time wins */
+const MAX_SAMPLES = 8;
+
+/**
+ * Estimates the other player's clock from ping/pong exchanges. Each exchange gives an offset
+ * assuming the pong was sent halfway through the round trip; the exchange with the lowest
+ * round trip time is the least affected by queuing, so its offset is used.
+ */
+export class ClockSync {
+  /**
+   * Create a new ClockSync instance
+   * @param {Object} [options] - Clock options
+   * @param {() => number} [options.now] - Local clock (ms)
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.reset();
+  }
+
+  /**
+   * Forget all samples, e.g. after reconnecting to a different player
+   */
+  reset() {
+    /** @type {ClockSample[]} */
+    this.samples = [];
+    /** @type {ClockSample|null} */
+    this.best = null;
+  }
+
+  /**
+   * Add a completed ping/pong exchange
+   * @param {number} sentAt - When the ping was sent, on the local clock (ms)
+   * @param {number} remoteTime - When the pong was sent, on the remote clock (ms)
+   * @param {number} receivedAt - When the pong arrived, on the local clock (ms)
+   */
+  addSample(sentAt, remoteTime, receivedAt) {
+    const rtt = receivedAt - sentAt;
+    if (rtt < 0) return;
+
+    this.samples.push({ offset: remoteTime - (sentAt + receivedAt) / 2, rtt });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    this.best = this.samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best));
+  }
+
+  /**
+   * Whether at least one exchange has completed
+   * @returns {boolean} Whether the offset is known
+   */
+  isSynced() {
+    return this.best !== null;
+  }
+
+  /**
+   * Remote clock minus local clock, 0 until the first exchange completes
+   * @returns {number} The clock offset (ms)
+   */
+  get offset() {
+    return this.best?.offset ?? 0;
+  }
+
+  /**
+   * Round trip time of the exchange the offset came from, 0 until the first exchange
+   * @returns {number} The round trip time (ms)
+   */
+  get rtt() {
+    return this.best?.rtt ?? 0;
+  }
+
+  /**
+   * Current time on the remote clock
+   * @returns {number} The remote time (ms)
+   */
+  remoteNow() {
+    return this.now() + this.offset;
+  }
+
+  /**
+   * Convert a time on the remote clock to the local clock
+   * @param {number} remoteTime - Time on the remote clock (ms)
+   * @returns {number} The same moment on the local clock (ms)
+   */
+  toLocalTime(remoteTime) {
+    return remoteTime - this.offset;
+  }
+
+  /**
+   * Convert a time on the local clock to the remote clock
+   * @param {number} localTime - Time on the local clock (ms)
+   * @returns {number} The same moment on the remote clock (ms)
+   */
+  toRemoteTime(localTime) {
+    return localTime + this.offset;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Compact binary frames for the high-frequency 'paddle' and 'ball' messages.
+ * Everything else is sent as JSON, which always starts with '{' so the two can be told apart.
+ * @module codec
+ */
+
+/**
+ * @typedef {import('../types/index.js').GameMessage} GameMessage
+ * @typedef {import('../types/index.js').TransportData} TransportData
+ */
+
+/** First byte of every JSON message ('{') */
+const JSON_START = 0x7b;
+
+/** Type byte at the start of each binary frame */
+const FRAME_TYPES = {
+  paddle: 0x01,
+  ball: 0x02,
+};
+
+/**
+ * @typedef {Object} FieldKind
+ * @property {number} size - Size in bytes
+ * @property {(view: DataView, offset: number) => number} read - Read the field
+ * @property {(view: DataView, offset: number, value: number) => void} write - Write the field
+ */
+
+/** @type {Record<string, FieldKind>} */
+const FIELD_KINDS = {
+  u32: {
+    size: 4,
+    read: (view, offset) => view.getUint32(offset, true),
+    write: (view, offset, value) => view.setUint32(offset, value, true),
+  },
+  f64: {
+    size: 8,
+    read: (view, offset) => view.getFloat64(offset, true),
+    write: (view, offset, value) => view.setFloat64(offset, value, true),
+  },
+};
+
+/**
+ * Fields of each frame, in order, after the type byte. Positions and velocities are float64
+ * so both players simulate from exactly the numbers the sender had.
+ * @type {Record<string, [string, string][]>}
+ */
+const FRAME_FIELDS = {
+  paddle: [
+    ['seq', 'u32'],
+    ['x', 'f64'],
+    ['time', 'f64'],
+  ],
+  ball: [
+    ['x', 'f64'],
+    ['y', 'f64'],
+    ['velocityX', 'f64'],
+    ['velocityY', 'f64'],
+    ['speed', 'f64'],
+    ['radius', 'f64'],
+    ['time', 'f64'],
+  ],
+};
+
+/**
+ * Total size in bytes of a frame, including the type byte
+ * @param {[string, string][]} fields - The frame's fields
+ * @returns {number} The frame size
+ */
+function frameSize(fields) {
+  return fields.reduce((size, [, kind]) => size + FIELD_KINDS[kind].size, 1);
+}
+
+/** Message type for each type byte */
+const TYPES_BY_BYTE = Object.fromEntries(
+  Object.entries(FRAME_TYPES).map(([type, byte]) => [byte, type])
+);
+
+/**
+ * Encode a message for the wire: a binary frame for 'paddle' and 'ball', JSON otherwise
+ * @param {GameMessage} message - The message to encode
+ * @returns {string|ArrayBuffer} The encoded message
+ */
+export function encodeMessage(message) {
+  const fields = FRAME_FIELDS[message.type];
+  if (!fields) {
+    return JSON.stringify(message);
+  }
+
+  const buffer = new ArrayBuffer(frameSize(fields));
+  const view = new DataView(buffer);
+
+  view.setUint8(0, FRAME_TYPES[message.type]);
+  let offset = 1;
+  fields.forEach(([field, kind]) => {
+    FIELD_KINDS[kind].write(view, offset, message.data[field]);
+    offset += FIELD_KINDS[kind].size;
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode a message received from the wire
+ * @param {TransportData} data - A JSON string, or bytes holding JSON or a binary frame
+ * @returns {any} The decoded message, still to be validated
+ * @throws {Error} If the data is not JSON or a known binary frame
+ */
+export function decodeMessage(data) {
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  if (bytes[0] === JSON_START) {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  const type = TYPES_BY_BYTE[bytes[0]];
+  if (!type) {
+    throw new Error(`Unknown binary frame type: ${bytes[0]}`);
+  }
+
+  const fields = FRAME_FIELDS[type];
+  if (bytes.byteLength !== frameSize(fields)) {
+    throw new Error(`Binary '${type}' frame has the wrong length: ${bytes.byteLength}`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const frameData = {};
+  let offset = 1;
+  fields.forEach(([field, kind]) => {
+    frameData[field] = FIELD_KINDS[kind].read(view, offset);
+    offset += FIELD_KINDS[kind].size;
+  });
+
+  return { type, data: frameData };
+}
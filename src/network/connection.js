@@ -1,36 +1,85 @@
 import { Peer } from './peer.js';
 import { generateQRCode } from '../lib/qrcode.js';
 import { updatePing } from './ping.js';
+import { encodeSignal, parseSignal } from './signal.js';
+import {
+  IncompatibleProtocolError,
+  PROTOCOL_VERSION,
+  createHello,
+  isUnreliable,
+  parseMessage,
+  validateMessage,
+} from './protocol.js';
+import { encodeMessage } from './codec.js';
+import { ClockSync } from './clock.js';
+import settings from '../settings.json';
 
 /**
  * @typedef {import('../types/index.js').ConnectionData} ConnectionData
  * @typedef {import('../types/index.js').GameMessage} GameMessage
+ * @typedef {import('../types/index.js').Transport} Transport
  */
 
 /**
- * Manages WebRTC connections between players
+ * Manages connections between players over a pluggable transport. WebRTC signaling is
+ * handled here; any other Transport can be attached directly with useTransport().
  */
 export class Connection {
   /**
    * Create a new Connection instance
    * @param {Object} options - Connection options
    * @param {boolean} options.isHost - Whether this client is the host
-   * @param {Function} options.onConnected - Callback when connection is established
+   * @param {Function} options.onConnected - Callback when connection is established and both
+   *   players speak the same protocol version
    * @param {Function} options.onMessage - Callback when message is received
    * @param {Function} options.onDisconnected - Callback when connection is lost
+   * @param {Function} [options.onInterrupted] - Callback when the link drops and reconnection starts
+   * @param {Function} [options.onResumed] - Callback when the link recovers after an interruption
+   * @param {number} [options.reconnectTimeout] - How long to try reconnecting before giving up (ms)
+   * @param {Function} [options.onError] - Callback with an Error the player should see, e.g. an
+   *   IncompatibleProtocolError when the other player runs a different build
+   * @param {(transport: Transport) => Transport} [options.wrapTransport] - Wraps every
+   *   transport before use, e.g. in a SimulatedTransport for testing bad networks
    */
-  constructor({ isHost, onConnected, onMessage, onDisconnected }) {
+  constructor({
+    isHost,
+    onConnected,
+    onMessage,
+    onDisconnected,
+    onInterrupted,
+    onResumed,
+    reconnectTimeout = settings.webrtc.reconnectTimeout,
+    onError,
+    wrapTransport,
+  }) {
     this.peer = null;
+    /** @type {Transport} */
+    this.transport = null;
     this.isHost = isHost;
     this.onConnected = onConnected;
     this.onMessage = onMessage;
     this.onDisconnected = onDisconnected;
+    this.onInterrupted = onInterrupted;
+    this.onResumed = onResumed;
+    this.onError = onError;
+    this.wrapTransport = wrapTransport;
+    this.reconnectTimeout = reconnectTimeout;
     this.isConnected = false;
     this._offerSent = false;
     this._answerSent = false;
-    this._connectionState = 'new'; // new, connecting, connected, disconnected
+    this._connectionState = 'new'; // new, connecting, connected, reconnecting, disconnected
     this._connectionAttemptTimeout = null;
+    this._reconnectTimeout = null;
     this._pingInterval = null;
+    /** @type {number|null} Protocol version announced by the other player */
+    this.remoteVersion = null;
+    // Last sequence numbers sent and received for each unreliable message type
+    /** @type {Record<string, number>} */
+    this._sentSeq = {};
+    /** @type {Record<string, number>} */
+    this._receivedSeq = {};
+    // Estimates the other player's clock from the ping/pong exchange
+    this.clock = new ClockSync();
   }
 
   /**
@@ -79,7 +128,7 @@ export class Connection {
 
             this._offerSent = true;
             clearTimeout(this._offerTimeout);
-            resolve(JSON.stringify(completeOfferData));
+            resolve(encodeSignal(completeOfferData));
           }
         });
 
@@ -98,7 +147,7 @@ export class Connection {
               iceCandidates: iceCandidates,
             };
             this._offerSent = true;
-            resolve(JSON.stringify(completeOfferData));
+            resolve(encodeSignal(completeOfferData));
           }
         }, 10000); // Increased to 10 seconds to allow more time for STUN/TURN candidates
       } catch (error) {
@@ -162,7 +211,7 @@ export class Connection {
 
             this._answerSent = true;
             clearTimeout(this._answerTimeout);
-            resolve(JSON.stringify(completeAnswerData));
+            resolve(encodeSignal(completeAnswerData));
           }
         });
 
@@ -181,7 +230,7 @@ export class Connection {
               iceCandidates: iceCandidates,
             };
             this._answerSent = true;
-            resolve(JSON.stringify(completeAnswerData));
+            resolve(encodeSignal(completeAnswerData));
           }
         }, 10000); // Increased to 10 seconds to allow more time for STUN/TURN candidates
 
@@ -190,8 +239,8 @@ export class Connection {
           let offer;
 
           try {
-            // First try to parse as JSON
-            const parsedOffer = JSON.parse(offerData);
+            // First try to parse as a compact or JSON signal
+            const parsedOffer = parseSignal(offerData);
             offer = parsedOffer;
 
             // Process any ICE candidates that came with the offer
@@ -244,8 +293,8 @@ export class Connection {
       let answer;
 
       try {
-        // First try to parse as JSON (for backward compatibility)
-        answer = JSON.parse(answerData);
+        // First try to parse as a compact or JSON signal (JSON for backward compatibility)
+        answer = parseSignal(answerData);
 
         // Process any ICE candidates that came with the answer
         if (answer.iceCandidates && Array.isArray(answer.iceCandidates)) {
@@ -280,6 +329,116 @@ export class Connection {
    * @private
    */
   setupPeerEvents() {
+    this.useTransport(this.peer);
+
+    this.peer.on('error', error => {
+      console.error('Peer connection error:', error);
+
+      // Only trigger disconnect if we were previously connected or if this is a critical error
+      if (this._isEstablished() || this._isCriticalError(error)) {
+        this._handleConnectionLost();
+      } else {
+        console.log(
+          'Non-critical error during connection setup, not triggering disconnect callback'
+        );
+      }
+    });
+
+    this.peer.on('interrupted', () => this._handleInterrupted());
+    this.peer.on('resumed', () => this._handleResumed());
+  }
+
+  /**
+   * Check whether the connection was established, even if it is currently reconnecting
+   * @returns {boolean} Whether the connection is connected or reconnecting
+   * @private
+   */
+  _isEstablished() {
+    return this._connectionState === 'connected' || this._connectionState === 'reconnecting';
+  }
+
+  /**
+   * Handle the WebRTC link dropping. The host restarts ICE, relaying the offer over the data
+   * channel while it may still deliver, and both sides wait up to reconnectTimeout for the
+   * link to come back before giving up. If ICE fails outright the peer closes instead.
+   * @private
+   */
+  _handleInterrupted() {
+    if (!this._isEstablished()) return;
+
+    if (this._connectionState === 'connected') {
+      console.log('Connection interrupted, attempting to reconnect');
+      this._connectionState = 'reconnecting';
+
+      this._reconnectTimeout = setTimeout(() => {
+        console.log(`Could not reconnect within ${this.reconnectTimeout}ms`);
+        this._handleConnectionLost();
+      }, this.reconnectTimeout);
+
+      if (this.onInterrupted) {
+        this.onInterrupted();
+      }
+    }
+
+    // Only the host restarts ICE so the two sides don't send competing offers
+    if (this.isHost) {
+      this.peer?.restartIce();
+    }
+  }
+
+  /**
+   * Handle the WebRTC link recovering after an interruption
+   * @private
+   */
+  _handleResumed() {
+    if (this._connectionState !== 'reconnecting') return;
+
+    console.log('Connection resumed');
+    this._clearReconnectTimeout();
+    this._connectionState = 'connected';
+
+    if (this.onResumed) {
+      this.onResumed();
+    }
+  }
+
+  /**
+   * Give up on the connection and notify
+   * @private
+   */
+  _handleConnectionLost() {
+    this._clearReconnectTimeout();
+    this.isConnected = false;
+    this._connectionState = 'disconnected';
+
+    if (this.onDisconnected) {
+      this.onDisconnected();
+    }
+  }
+
+  /**
+   * Clear the reconnect timeout if it exists
+   * @private
+   */
+  _clearReconnectTimeout() {
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+  }
+
+  /**
+   * Exchange messages over the given transport. The WebRTC Peer is attached this way by
+   * initAsHost/initAsGuest; other transports (loopback, BroadcastChannel) can be attached
+   * directly without any signaling.
+   * @param {Transport} transport - The transport to use
+   */
+  useTransport(transport) {
+    if (this.wrapTransport) {
+      transport = this.wrapTransport(transport);
+    }
+    this.transport = transport;
+
     // Set connection state to connecting
     this._connectionState = 'connecting';
 
@@ -304,8 +463,8 @@ export class Connection {
       }
     }, 30000); // 30 second timeout
 
-    this.peer.on('connect', () => {
-      console.log('Peer connection established');
+    transport.onOpen(() => {
+      console.log('Transport connection established');
 
       // Clear the connection attempt timeout
       if (this._connectionAttemptTimeout) {
@@ -315,22 +474,49 @@ export class Connection {
 
       this.isConnected = true;
       this._connectionState = 'connected';
+      this.remoteVersion = null;
+      this._sentSeq = {};
+      this._receivedSeq = {};
+      this.clock.reset();
+
+      // From now on, relay WebRTC signaling (e.g. ICE restarts) over the connection itself
+      this.peer?.on('signal', data => {
+        this.sendMessage({ type: 'signal', data });
+      });
+
+      // Announce our protocol version; onConnected waits for the other player's
+      this.sendMessage(createHello());
 
       // Set up ping interval for both host and guest
       this._setupPingInterval();
-
-      if (this.onConnected) {
-        this.onConnected();
-      }
     });
 
-    this.peer.on('data', data => {
-      // Convert data to string if it's not already a string
-      const dataString = typeof data === 'string' ? data : new TextDecoder().decode(data);
-
+    transport.onMessage(data => {
       if (this.onMessage) {
         try {
-          const message = JSON.parse(dataString);
+          const message = parseMessage(data);
+
+          if (message.type === 'hello') {
+            this._handleHello(message.data.version);
+            return;
+          }
+
+          // Builds without a hello (or that skipped it) can't be trusted to understand us
+          if (this.remoteVersion === null) {
+            this._handleIncompatible(null);
+            return;
+          }
+
+          // Unreliable messages can arrive late or twice; only the newest one matters
+          if (isUnreliable(message.type) && this._isStale(message)) {
+            return;
+          }
+
+          // Signaling for the underlying peer connection is handled here, not by the game
+          if (message.type === 'signal') {
+            this.peer?.signal(message.data);
+            return;
+          }
 
           // Handle ping-pong messages for both host and guest
           if (message.type === 'ping') {
@@ -345,7 +531,11 @@ export class Connection {
             // Don't log every ping/pong message
           } else if (message.type === 'pong') {
             // Calculate round-trip time for both host and guest
-            const rtt = Date.now() - message.data.pingTimestamp;
+            const receivedAt = Date.now();
+            const rtt = receivedAt - message.data.pingTimestamp;
+
+            // Every exchange also refines the estimate of the other player's clock
+            this.clock.addSample(message.data.pingTimestamp, message.data.timestamp, receivedAt);
 
             // Use the ping update function
             updatePing(rtt);
@@ -359,39 +549,66 @@ export class Connection {
       }
     });
 
-    this.peer.on('close', () => {
-      console.log('Peer connection closed');
+    transport.onClose(() => {
+      console.log('Transport connection closed');
 
       // Only trigger disconnect if we were previously connected
-      if (this._connectionState === 'connected') {
-        this.isConnected = false;
-        this._connectionState = 'disconnected';
-
-        if (this.onDisconnected) {
-          this.onDisconnected();
-        }
+      if (this._isEstablished()) {
+        this._handleConnectionLost();
       } else {
         console.log('Connection closed during setup, not triggering disconnect callback');
       }
     });
+  }
 
-    this.peer.on('error', error => {
-      console.error('Peer connection error:', error);
+  /**
+   * Handle the other player's protocol version
+   * @param {number} version - The other player's protocol version
+   * @private
+   */
+  _handleHello(version) {
+    if (version !== PROTOCOL_VERSION) {
+      this._handleIncompatible(version);
+      return;
+    }
 
-      // Only trigger disconnect if we were previously connected or if this is a critical error
-      if (this._connectionState === 'connected' || this._isCriticalError(error)) {
-        this.isConnected = false;
-        this._connectionState = 'disconnected';
+    this.remoteVersion = version;
 
-        if (this.onDisconnected) {
-          this.onDisconnected();
-        }
-      } else {
-        console.log(
-          'Non-critical error during connection setup, not triggering disconnect callback'
-        );
-      }
-    });
+    if (this.onConnected) {
+      this.onConnected();
+    }
+  }
+
+  /**
+   * Drop a connection to a player running an incompatible build
+   * @param {number|null} version - The other player's protocol version, or null if unknown
+   * @private
+   */
+  _handleIncompatible(version) {
+    const error = new IncompatibleProtocolError(version);
+    console.error(error.message);
+
+    this.disconnect();
+
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Check whether an unreliable message is older than one already received
+   * @param {GameMessage} message - The received message
+   * @returns {boolean} Whether the message should be dropped
+   * @private
+   */
+  _isStale(message) {
+    const lastSeq = this._receivedSeq[message.type];
+    if (lastSeq !== undefined && message.data.seq <= lastSeq) {
+      return true;
+    }
+
+    this._receivedSeq[message.type] = message.data.seq;
+    return false;
   }
 
   /**
@@ -419,18 +636,38 @@ export class Connection {
   }
 
   /**
-   * Send a message to the connected peer
+   * Send a message to the connected peer. Latest-wins messages such as 'paddle' are numbered
+   * and sent unreliably when the transport supports it; everything else is reliable and ordered.
    * @param {GameMessage} message - The message to send
    * @returns {boolean} Whether the message was sent successfully
    */
   sendMessage(message) {
-    if (!this.isConnected || !this.peer) {
+    if (!this.isConnected || !this.transport) {
+      return false;
+    }
+
+    const unreliable = isUnreliable(message.type);
+    if (unreliable) {
+      const seq = (this._sentSeq[message.type] ?? 0) + 1;
+      this._sentSeq[message.type] = seq;
+      message = { ...message, data: { ...message.data, seq } };
+    }
+
+    const problem = validateMessage(message);
+    if (problem) {
+      console.error('Not sending invalid message:', problem, message);
       return false;
     }
 
     try {
-      const data = JSON.stringify(message);
-      this.peer.send(data);
+      // Paddle and ball updates go out as small binary frames, everything else as JSON
+      const data = encodeMessage(message);
+
+      if (unreliable && this.transport.sendUnreliable) {
+        this.transport.sendUnreliable(data);
+      } else {
+        this.transport.send(data);
+      }
       return true;
     } catch (error) {
       console.error('Error sending message:', error);
@@ -457,15 +694,13 @@ export class Connection {
     // Clear any existing ping interval
     this._clearPingInterval();
 
+    // Ping straight away so the clocks are in sync before anyone presses Ready
+    this._sendPing();
+
     // Set up a recurring ping interval (every 2 seconds)
     this._pingInterval = setInterval(() => {
       if (this.isConnected) {
-        this.sendMessage({
-          type: 'ping',
-          data: {
-            timestamp: Date.now(),
-          },
-        });
+        this._sendPing();
         // Don't log every ping message
       } else {
         // Clear the interval if we're no longer connected
@@ -474,6 +709,44 @@ export class Connection {
     }, 2000);
   }
 
+  /**
+   * Send a ping, timestamped with the local clock
+   * @private
+   */
+  _sendPing() {
+    this.sendMessage({
+      type: 'ping',
+      data: {
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  /**
+   * Current time on the other player's clock, estimated from the ping exchange
+   * @returns {number} The remote time (ms, comparable to Date.now() on the other side)
+   */
+  remoteNow() {
+    return this.clock.remoteNow();
+  }
+
+  /**
+   * Offset between the clocks: the other player's clock minus this one
+   * @returns {number} The clock offset (ms)
+   */
+  get clockOffset() {
+    return this.clock.offset;
+  }
+
+  /**
+   * Convert a time from the other player's clock to this one, e.g. a start time they sent
+   * @param {number} remoteTime - Time on the other player's clock (ms)
+   * @returns {number} The same moment on the local clock (ms)
+   */
+  toLocalTime(remoteTime) {
+    return this.clock.toLocalTime(remoteTime);
+  }
+
   /**
    * Disconnect from the peer
    */
@@ -486,12 +759,15 @@ export class Connection {
 
     // Clear ping interval
     this._clearPingInterval();
+    this._clearReconnectTimeout();
 
-    if (this.peer) {
-      this.peer.destroy();
-      this.peer = null;
+    if (this.transport) {
+      // Mark as disconnected first so closing doesn't trigger the disconnect callback
       this.isConnected = false;
       this._connectionState = 'disconnected';
+      this.transport.close();
+      this.transport = null;
+      this.peer = null;
     }
   }
 
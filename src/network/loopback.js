@@ -0,0 +1,113 @@
+/**
+ * In-memory transport connecting two endpoints in the same page, e.g. for tests
+ */
+
+/**
+ * @typedef {import('../types/index.js').TransportData} TransportData
+ */
+
+/**
+ * One end of an in-memory transport pair
+ */
+export class LoopbackTransport {
+  /**
+   * Create a new LoopbackTransport instance. Use LoopbackTransport.createPair() to get a
+   * connected pair.
+   */
+  constructor() {
+    /** @type {LoopbackTransport} */
+    this.remote = null;
+    this.isOpen = false;
+
+    // Event callbacks
+    this.onMessageCallback = null;
+    this.onOpenCallback = null;
+    this.onCloseCallback = null;
+  }
+
+  /**
+   * Create two transports connected to each other. Both open asynchronously, after the
+   * caller has had a chance to register callbacks.
+   * @returns {[LoopbackTransport, LoopbackTransport]} The two ends of the pair
+   */
+  static createPair() {
+    const a = new LoopbackTransport();
+    const b = new LoopbackTransport();
+    a.remote = b;
+    b.remote = a;
+
+    setTimeout(() => {
+      a._open();
+      b._open();
+    }, 0);
+
+    return [a, b];
+  }
+
+  /**
+   * Mark the transport as open and notify
+   * @private
+   */
+  _open() {
+    if (this.isOpen || !this.remote) return;
+
+    this.isOpen = true;
+    this.onOpenCallback?.();
+  }
+
+  /**
+   * Send data to the other end. Delivery is asynchronous, like a real network.
+   * @param {TransportData} data - Data to send
+   */
+  send(data) {
+    if (!this.isOpen) return;
+
+    const remote = this.remote;
+    setTimeout(() => {
+      if (remote.isOpen) {
+        remote.onMessageCallback?.(data);
+      }
+    }, 0);
+  }
+
+  /**
+   * Set the callback for incoming data
+   * @param {Function} callback - Data callback
+   */
+  onMessage(callback) {
+    this.onMessageCallback = callback;
+  }
+
+  /**
+   * Set the callback for when the transport opens
+   * @param {Function} callback - Open callback
+   */
+  onOpen(callback) {
+    this.onOpenCallback = callback;
+  }
+
+  /**
+   * Set the callback for when the transport closes
+   * @param {Function} callback - Close callback
+   */
+  onClose(callback) {
+    this.onCloseCallback = callback;
+  }
+
+  /**
+   * Close both ends of the transport
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    const remote = this.remote;
+    this.remote = null;
+
+    if (remote) {
+      remote.close();
+    }
+
+    this.onCloseCallback?.();
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Network condition simulator for testing on localhost: a Transport wrapper that adds
+ * latency, jitter, loss, duplication and reordering, optionally per message type
+ */
+import { decodeMessage } from './codec.js';
+import { isUnreliable } from './protocol.js';
+import settings from '../settings.json';
+
+/**
+ * @typedef {import('../types/index.js').Transport} Transport
+ * @typedef {import('../types/index.js').TransportData} TransportData
+ */
+
+/**
+ * @typedef {Object} NetworkConditions
+ * @property {number} latency - Delay added in each direction (ms)
+ * @property {number} jitter - Random variation of the delay, plus or minus (ms)
+ * @property {number} loss - Chance a message is lost (0-1)
+ * @property {number} duplicate - Chance a message is delivered twice (0-1)
+ * @property {number} reorder - Chance a message is held back so later ones overtake it (0-1)
+ */
+
+/**
+ * @typedef {Object} NetSimConfig
+ * @property {boolean} enabled - Whether conditions are applied
+ * @property {NetworkConditions} conditions - Conditions for every message type
+ * @property {Record<string, Partial<NetworkConditions>>} types - Overrides by message type
+ */
+
+/** Query parameter that turns the simulator on */
+const QUERY_PARAM = 'netsim';
+
+/** @type {NetworkConditions} */
+const NO_CONDITIONS = { latency: 0, jitter: 0, loss: 0, duplicate: 0, reorder: 0 };
+
+/** Short names accepted in the query parameter */
+const CONDITION_ALIASES = {
+  latency: 'latency',
+  jitter: 'jitter',
+  loss: 'loss',
+  dup: 'duplicate',
+  duplicate: 'duplicate',
+  reorder: 'reorder',
+};
+
+/**
+ * Create a simulator config with the defaults from settings.json
+ * @returns {NetSimConfig} The config
+ */
+export function createNetSimConfig() {
+  return {
+    enabled: true,
+    conditions: { ...settings.netsim },
+    types: {},
+  };
+}
+
+/**
+ * Read the simulator config from the page URL, e.g.
+ * ?netsim=latency:100,jitter:30,loss:0.05,paddle.loss:0.2
+ * A bare ?netsim uses the defaults from settings.json.
+ * @param {Location} [location=window.location] - Location of the current page
+ * @returns {NetSimConfig|null} The config, or null if the simulator wasn't asked for
+ */
+export function readNetSimConfig(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  if (!params.has(QUERY_PARAM)) {
+    return null;
+  }
+
+  const config = createNetSimConfig();
+
+  params
+    .get(QUERY_PARAM)
+    .split(',')
+    .filter(Boolean)
+    .forEach(entry => {
+      const [path, rawValue] = entry.split(':');
+      const value = Number(rawValue);
+      const [typeOrName, maybeName] = path.split('.');
+      const name = CONDITION_ALIASES[maybeName ?? typeOrName];
+
+      if (!name || !Number.isFinite(value)) {
+        console.warn(`Ignoring netsim setting: ${entry}`);
+        return;
+      }
+
+      if (maybeName) {
+        config.types[typeOrName] = { ...config.types[typeOrName], [name]: value };
+      } else {
+        config.conditions[name] = value;
+      }
+    });
+
+  return config;
+}
+
+/**
+ * Get the conditions for a message type
+ * @param {NetSimConfig} config - Simulator config
+ * @param {string} type - Message type
+ * @returns {NetworkConditions} The conditions to apply
+ */
+function conditionsFor(config, type) {
+  return { ...config.conditions, ...config.types[type] };
+}
+
+/**
+ * Find the type of an encoded message
+ * @param {TransportData} data - The encoded message
+ * @returns {string} The message type, or 'unknown'
+ */
+function messageType(data) {
+  try {
+    return decodeMessage(data).type;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Transport wrapper that delivers messages in both directions under simulated network
+ * conditions. Latest-wins messages (see isUnreliable) can be lost, duplicated and reordered.
+ * Everything else models a reliable, ordered channel: a lost message is resent a round trip
+ * later and holds up the messages behind it.
+ */
+export class SimulatedTransport {
+  /**
+   * Create a new SimulatedTransport instance
+   * @param {Transport} transport - The real transport
+   * @param {NetSimConfig} config - Simulator config; changes apply to later messages
+   * @param {Object} [options] - Options
+   * @param {() => number} [options.random] - Random number source
+   */
+  constructor(transport, config, { random = Math.random } = {}) {
+    this.transport = transport;
+    this.config = config;
+    this.random = random;
+    /** @type {Set<ReturnType<typeof setTimeout>>} */
+    this.timers = new Set();
+    // Reliable messages waiting in each direction, in the order they must arrive
+    /** @type {Record<string, { dueAt: number, data: TransportData, deliver: Function }[]>} */
+    this.reliableQueues = { send: [], receive: [] };
+  }
+
+  /**
+   * Send data to the remote side
+   * @param {TransportData} data - Data to send
+   */
+  send(data) {
+    this._simulate('send', data, delayed => this.transport.send(delayed));
+  }
+
+  /**
+   * Send data that may be dropped or reordered
+   * @param {TransportData} data - Data to send
+   */
+  sendUnreliable(data) {
+    this._simulate('send', data, delayed => {
+      if (this.transport.sendUnreliable) {
+        this.transport.sendUnreliable(delayed);
+      } else {
+        this.transport.send(delayed);
+      }
+    });
+  }
+
+  /**
+   * Set the callback for incoming data
+   * @param {(data: TransportData) => void} callback - Data callback
+   */
+  onMessage(callback) {
+    this.transport.onMessage(data => this._simulate('receive', data, callback));
+  }
+
+  /**
+   * Set the callback for when the channel opens
+   * @param {() => void} callback - Open callback
+   */
+  onOpen(callback) {
+    this.transport.onOpen(callback);
+  }
+
+  /**
+   * Set the callback for when the channel closes
+   * @param {() => void} callback - Close callback
+   */
+  onClose(callback) {
+    this.transport.onClose(callback);
+  }
+
+  /**
+   * Close the channel and drop anything still in flight
+   */
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.reliableQueues = { send: [], receive: [] };
+    this.transport.close();
+  }
+
+  /**
+   * Deliver a message under the configured conditions
+   * @param {'send'|'receive'} direction - Which way the message is going
+   * @param {TransportData} data - The encoded message
+   * @param {(data: TransportData) => void} deliver - Delivers the message
+   * @private
+   */
+  _simulate(direction, data, deliver) {
+    const queue = this.reliableQueues[direction];
+
+    // Switched off: pass straight through, once earlier reliable messages have been delivered
+    if (!this.config.enabled && queue.length === 0) {
+      deliver(data);
+      return;
+    }
+
+    const type = messageType(data);
+    const { latency, jitter, loss, duplicate, reorder } = this.config.enabled
+      ? conditionsFor(this.config, type)
+      : NO_CONDITIONS;
+    const delay = Math.max(0, latency + (this.random() * 2 - 1) * jitter);
+
+    if (isUnreliable(type)) {
+      if (this.random() < loss) return;
+
+      // Held back long enough for the next few messages to overtake it
+      const heldBack = this.random() < reorder ? latency + jitter : 0;
+      this._schedule(delay + heldBack, () => deliver(data));
+
+      if (this.random() < duplicate) {
+        this._schedule(delay + heldBack + this.random() * jitter, () => deliver(data));
+      }
+      return;
+    }
+
+    // Reliable channel: a lost message is resent after a round trip, and nothing overtakes it
+    const resendDelay = this.random() < loss ? latency * 2 : 0;
+    const lastDueAt = queue.length > 0 ? queue[queue.length - 1].dueAt : 0;
+    const dueAt = Math.max(Date.now() + delay + resendDelay, lastDueAt);
+
+    queue.push({ dueAt, data, deliver });
+    if (queue.length === 1) {
+      this._scheduleReliable(direction);
+    }
+  }
+
+  /**
+   * Deliver the reliable messages that are due, in order, then wait for the next one
+   * @param {'send'|'receive'} direction - Which queue to work on
+   * @private
+   */
+  _scheduleReliable(direction) {
+    const queue = this.reliableQueues[direction];
+    if (queue.length === 0) return;
+
+    this._schedule(queue[0].dueAt - Date.now(), () => {
+      while (queue.length > 0 && queue[0].dueAt <= Date.now()) {
+        const { data, deliver } = queue.shift();
+        deliver(data);
+      }
+      this._scheduleReliable(direction);
+    });
+  }
+
+  /**
+   * Run a callback after a delay, unless the transport is closed first
+   * @param {number} delay - Delay in milliseconds
+   * @param {() => void} callback - The callback
+   * @private
+   */
+  _schedule(delay, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+}
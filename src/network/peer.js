@@ -1,8 +1,14 @@
 /**
- * A simple WebRTC peer connection wrapper
+ * A simple WebRTC peer connection wrapper, usable as a Transport
  */
 import settings from '../settings.json';
 
+/** Label of the reliable, ordered channel used for most messages */
+const RELIABLE_CHANNEL = 'data';
+
+/** Label of the unreliable, unordered channel used for latest-wins updates */
+const UNRELIABLE_CHANNEL = 'unreliable';
+
 /**
  * @typedef {Object} PeerOptions
  * @property {boolean} [initiator=false] - Whether this peer is the initiator of the connection
@@ -31,8 +37,11 @@ export class Peer {
 
     this.peerConnection = null;
     this.dataChannel = null;
+    /** @type {RTCDataChannel} */
+    this.unreliableChannel = null;
     this.connected = false;
     this.destroyed = false;
+    this.interrupted = false;
 
     // Event callbacks
     this.onSignalCallback = null;
@@ -40,6 +49,8 @@ export class Peer {
     this.onDataCallback = null;
     this.onCloseCallback = null;
     this.onErrorCallback = null;
+    this.onInterruptedCallback = null;
+    this.onResumedCallback = null;
 
     this._init();
   }
@@ -75,33 +86,38 @@ export class Peer {
 
       // Handle ICE connection state changes
       this.peerConnection.oniceconnectionstatechange = () => {
-        if (
-          this.peerConnection.iceConnectionState === 'connected' ||
-          this.peerConnection.iceConnectionState === 'completed'
-        ) {
+        const iceState = this.peerConnection.iceConnectionState;
+
+        if (iceState === 'connected' || iceState === 'completed') {
           // The ICE connection is established, check if data channel is open
           this._checkDataChannelState();
-        } else if (
-          this.peerConnection.iceConnectionState === 'disconnected' ||
-          this.peerConnection.iceConnectionState === 'failed'
-        ) {
+          this._handleResumed();
+        } else if (iceState === 'disconnected') {
+          this._handleInterrupted();
+        } else if (iceState === 'failed') {
+          // ICE has given up on every path, so the data channel can no longer carry the
+          // restart offer. There is no way back without a new manual signal exchange.
           this._handleDisconnect();
         }
       };
 
-      // If we're the initiator, create the data channel
+      // If we're the initiator, create the data channels
       if (this.initiator) {
-        this.dataChannel = this.peerConnection.createDataChannel('data');
-        this._setupDataChannel();
+        this._createDataChannels();
 
         // Create and send the offer
         this._createOffer();
       } else {
-        // If we're not the initiator, set up to receive the data channel
+        // If we're not the initiator, set up to receive the data channels
         this.peerConnection.ondatachannel = event => {
-          console.log('Data channel received from remote peer');
-          this.dataChannel = event.channel;
-          this._setupDataChannel();
+          console.log('Data channel received from remote peer:', event.channel.label);
+          if (event.channel.label === UNRELIABLE_CHANNEL) {
+            this.unreliableChannel = event.channel;
+            this._setupUnreliableChannel();
+          } else {
+            this.dataChannel = event.channel;
+            this._setupDataChannel();
+          }
         };
       }
     } catch (error) {
@@ -109,6 +125,26 @@ export class Peer {
     }
   }
 
+  /**
+   * Create the reliable and unreliable data channels (initiator only)
+   * @private
+   */
+  _createDataChannels() {
+    if (!this.dataChannel) {
+      this.dataChannel = this.peerConnection.createDataChannel(RELIABLE_CHANNEL);
+      this._setupDataChannel();
+    }
+
+    if (!this.unreliableChannel) {
+      // No retransmits and no ordering, so a lost packet never holds up newer ones
+      this.unreliableChannel = this.peerConnection.createDataChannel(UNRELIABLE_CHANNEL, {
+        ordered: false,
+        maxRetransmits: 0,
+      });
+      this._setupUnreliableChannel();
+    }
+  }
+
   /**
    * Check the data channel state and trigger connect if open
    * @private
@@ -134,6 +170,9 @@ export class Peer {
 
     console.log('Setting up data channel, current state:', this.dataChannel.readyState);
 
+    // Binary game frames are decoded from ArrayBuffers, not Blobs
+    this.dataChannel.binaryType = 'arraybuffer';
+
     this.dataChannel.onopen = () => {
       console.log('Data channel opened');
       this.connected = true;
@@ -172,13 +211,39 @@ export class Peer {
     }
   }
 
+  /**
+   * Set up the unreliable channel event handlers. The connection's state follows the
+   * reliable channel, so this channel only delivers data.
+   * @private
+   */
+  _setupUnreliableChannel() {
+    if (!this.unreliableChannel) return;
+
+    this.unreliableChannel.binaryType = 'arraybuffer';
+
+    this.unreliableChannel.onmessage = event => {
+      if (this.onDataCallback) {
+        this.onDataCallback(event.data);
+      }
+    };
+
+    this.unreliableChannel.onerror = error => {
+      console.error('Unreliable channel error:', error);
+    };
+
+    this.unreliableChannel.onclose = () => {
+      console.log('Unreliable channel closed');
+    };
+  }
+
   /**
    * Create and send an offer
+   * @param {RTCOfferOptions} [options] - Offer options, e.g. { iceRestart: true }
    * @private
    */
-  async _createOffer() {
+  async _createOffer(options) {
     try {
-      const offer = await this.peerConnection.createOffer();
+      const offer = await this.peerConnection.createOffer(options);
       await this.peerConnection.setLocalDescription(offer);
 
       if (this.onSignalCallback) {
@@ -214,6 +279,52 @@ export class Peer {
     }
   }
 
+  /**
+   * Handle the ICE connection going 'disconnected'. Before the data channel opens this is
+   * treated as a disconnect; afterwards the link may recover, so it is reported as an
+   * interruption.
+   * @private
+   */
+  _handleInterrupted() {
+    if (this.destroyed) return;
+
+    if (!this.connected) {
+      this._handleDisconnect();
+      return;
+    }
+
+    console.log('ICE connection interrupted');
+    this.interrupted = true;
+    if (this.onInterruptedCallback) {
+      this.onInterruptedCallback();
+    }
+  }
+
+  /**
+   * Handle the ICE connection coming back after an interruption
+   * @private
+   */
+  _handleResumed() {
+    if (this.destroyed || !this.interrupted) return;
+
+    console.log('ICE connection resumed');
+    this.interrupted = false;
+    if (this.onResumedCallback) {
+      this.onResumedCallback();
+    }
+  }
+
+  /**
+   * Restart ICE on the existing connection. Only the initiator creates the restart offer,
+   * which is emitted through the 'signal' event like the original offer.
+   */
+  restartIce() {
+    if (this.destroyed || !this.initiator) return;
+
+    console.log('Restarting ICE');
+    this._createOffer({ iceRestart: true });
+  }
+
   /**
    * Handle disconnection
    * @private
@@ -295,11 +406,48 @@ export class Peer {
       case 'error':
         this.onErrorCallback = callback;
         break;
+      case 'interrupted':
+        this.onInterruptedCallback = callback;
+        break;
+      case 'resumed':
+        this.onResumedCallback = callback;
+        break;
       default:
         console.warn(`Unknown event: ${event}`);
     }
   }
 
+  /**
+   * Set the callback for incoming data (Transport interface)
+   * @param {Function} callback - Data callback
+   */
+  onMessage(callback) {
+    this.on('data', callback);
+  }
+
+  /**
+   * Set the callback for when the data channel opens (Transport interface)
+   * @param {Function} callback - Connect callback
+   */
+  onOpen(callback) {
+    this.on('connect', callback);
+  }
+
+  /**
+   * Set the callback for when the connection closes (Transport interface)
+   * @param {Function} callback - Close callback
+   */
+  onClose(callback) {
+    this.on('close', callback);
+  }
+
+  /**
+   * Close the connection (Transport interface)
+   */
+  close() {
+    this.destroy();
+  }
+
   /**
    * Process signaling data from the remote peer
    * @param {Object} data - Signaling data
@@ -327,10 +475,9 @@ export class Peer {
           .setRemoteDescription(answerDescription)
           .then(() => {
             console.log('Remote description set (answer)');
-            // For the initiator, check if we need to create a data channel
-            if (this.initiator && !this.dataChannel) {
-              this.dataChannel = this.peerConnection.createDataChannel('data');
-              this._setupDataChannel();
+            // For the initiator, check if we need to create the data channels
+            if (this.initiator) {
+              this._createDataChannels();
             }
             // Check connection state after setting remote description
             this._checkDataChannelState();
@@ -381,6 +528,26 @@ export class Peer {
     }
   }
 
+  /**
+   * Send data where losing or reordering it is fine, e.g. paddle positions (Transport
+   * interface). Falls back to the reliable channel until the unreliable one is open.
+   * @param {ArrayBuffer|ArrayBufferView} data - Data to send
+   */
+  sendUnreliable(data) {
+    if (this.destroyed || !this.connected) return;
+
+    if (this.unreliableChannel?.readyState !== 'open') {
+      this.send(data);
+      return;
+    }
+
+    try {
+      this.unreliableChannel.send(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
   /**
    * Destroy the peer connection
    */
@@ -399,6 +566,15 @@ export class Peer {
       this.dataChannel = null;
     }
 
+    if (this.unreliableChannel) {
+      try {
+        this.unreliableChannel.close();
+      } catch (error) {
+        // Ignore
+      }
+      this.unreliableChannel = null;
+    }
+
     if (this.peerConnection) {
       try {
         this.peerConnection.close();
@@ -0,0 +1,166 @@
+/**
+ * Game message protocol: message definitions, runtime validation and versioning
+ * @module protocol
+ */
+
+import { decodeMessage } from './codec.js';
+
+/**
+ * @typedef {import('../types/index.js').GameMessage} GameMessage
+ * @typedef {import('../types/index.js').TransportData} TransportData
+ */
+
+/**
+ * Protocol version, exchanged in a 'hello' message when the connection opens.
+ * Bump this whenever a message is added, removed or changes shape.
+ */
+export const PROTOCOL_VERSION = 8;
+
+/**
+ * Thrown when the other player is running a build that speaks a different protocol
+ */
+export class IncompatibleProtocolError extends Error {
+  /**
+   * @param {number|null} remoteVersion - The other player's version, or null if unknown
+   */
+  constructor(remoteVersion) {
+    const remote = remoteVersion === null ? 'an unknown version' : `version ${remoteVersion}`;
+    super(
+      `The other player is running an incompatible version of the game ` +
+        `(protocol ${remote}, expected version ${PROTOCOL_VERSION}). ` +
+        `Both players need to refresh to get the latest version.`
+    );
+    this.name = 'IncompatibleProtocolError';
+    this.remoteVersion = remoteVersion;
+  }
+}
+
+/**
+ * Check that a value is a finite number
+ * @param {any} value - The value to check
+ * @returns {boolean} Whether the value is a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check that a value is a plain object with finite numbers at the given keys
+ * @param {any} data - The value to check
+ * @param {string[]} keys - Keys that must hold numbers
+ * @returns {boolean} Whether every key holds a number
+ */
+function hasNumbers(data, keys) {
+  return typeof data === 'object' && data !== null && keys.every(key => isNumber(data[key]));
+}
+
+/**
+ * Check ball state, as sent in 'ball' and 'resync' messages
+ * @param {any} data - The value to check
+ * @returns {boolean} Whether it is a timestamped ball
+ */
+function isBall(data) {
+  return hasNumbers(data, ['x', 'y', 'velocityX', 'velocityY', 'speed', 'radius', 'time']);
+}
+
+/**
+ * Check a match score, as sent in 'score' and 'resync' messages
+ * @param {any} data - The value to check
+ * @returns {boolean} Whether it is a match score
+ */
+function isScore(data) {
+  return hasNumbers(data, ['localPoints', 'remotePoints', 'localGames', 'remoteGames']);
+}
+
+/**
+ * Validators for the data of every message type, keyed by type
+ * @type {Record<string, (data: any) => boolean>}
+ */
+const MESSAGE_VALIDATORS = {
+  // Connection handshake and keep-alive
+  hello: data => hasNumbers(data, ['version']),
+  ping: data => hasNumbers(data, ['timestamp']),
+  pong: data => hasNumbers(data, ['timestamp', 'pingTimestamp']),
+  signal: data => typeof data === 'object' && data !== null && typeof data.type === 'string',
+
+  // Match setup
+  config: data => typeof data === 'object' && data !== null,
+  startCountdown: data => hasNumbers(data, ['timestamp', 'seed']),
+  start: () => true,
+  pause: () => true,
+  resume: () => true,
+
+  // Gameplay
+  ball: isBall,
+  paddle: data => hasNumbers(data, ['seq', 'x', 'time']),
+  score: isScore,
+  gameOver: data => typeof data?.localWon === 'boolean',
+  instantReplay: data => hasNumbers(data, ['timestamp']),
+
+  // Desync detection
+  stateHash: data => hasNumbers(data, ['tick', 'hash']),
+  resyncRequest: () => true,
+  resync: data => hasNumbers(data, ['tick']) && isBall(data.ball) && isScore(data.score),
+};
+
+/**
+ * Latest-wins messages, sent over the unreliable channel where the transport has one.
+ * Each carries a 'seq' number so late or duplicate packets can be dropped.
+ */
+const UNRELIABLE_MESSAGES = new Set(['paddle']);
+
+/**
+ * Check whether a message type can be sent unreliably
+ * @param {string} type - The message type
+ * @returns {boolean} Whether losing or reordering the message is fine
+ */
+export function isUnreliable(type) {
+  return UNRELIABLE_MESSAGES.has(type);
+}
+
+/**
+ * Check a message against the protocol
+ * @param {any} message - The message to check
+ * @returns {string|null} Why the message is invalid, or null if it is valid
+ */
+export function validateMessage(message) {
+  if (typeof message !== 'object' || message === null) {
+    return 'Message is not an object';
+  }
+
+  const validator = MESSAGE_VALIDATORS[message.type];
+  if (!validator) {
+    return `Unknown message type: ${message.type}`;
+  }
+
+  if (!validator(message.data)) {
+    return `Invalid data for '${message.type}' message`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate a message received from the other player
+ * @param {TransportData} data - The raw message, JSON or a binary frame
+ * @returns {GameMessage} The message
+ * @throws {Error} If the message can't be decoded or doesn't match the protocol
+ */
+export function parseMessage(data) {
+  const message = decodeMessage(data);
+
+  const problem = validateMessage(message);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  return message;
+}
+
+/**
+ * Create the handshake message announcing this build's protocol version
+ * @returns {GameMessage} The hello message
+ */
+export function createHello() {
+  return { type: 'hello', data: { version: PROTOCOL_VERSION } };
+}
@@ -0,0 +1,381 @@
+/**
+ * Compact encoding for WebRTC signaling data (offers and answers).
+ *
+ * A full offer with its ICE candidates is several kilobytes of JSON, which makes for dense
+ * QR codes that phone cameras struggle to read. For a data-channel-only connection the
+ * remote side only needs the ICE credentials, the DTLS fingerprint, the DTLS role and the
+ * candidate addresses; everything else in the SDP is boilerplate that can be rebuilt. These
+ * are packed into a small binary form and encoded as base64url.
+ *
+ * Binary layout (version 1):
+ * - 1 byte: version (4 bits) | type (2 bits, offer/answer) | setup role (2 bits)
+ * - ICE ufrag and pwd: 1 length byte followed by ASCII bytes each
+ * - 32 bytes: SHA-256 DTLS fingerprint
+ * - 1 byte: candidate count, then per candidate:
+ *   1 byte: candidate type (upper bits) | address kind (lower 2 bits),
+ *   4 (IPv4) or 16 (IPv6, mDNS UUID) address bytes, 2 bytes port
+ */
+import { toBase64Url, fromBase64Url } from '../lib/base64url.js';
+
+/**
+ * @typedef {import('../types/index.js').SignalData} SignalData
+ * @typedef {import('../types/index.js').IceCandidateData} IceCandidateData
+ */
+
+/**
+ * @typedef {Object} CompactCandidate
+ * @property {string} type - Candidate type ('host', 'srflx', 'prflx' or 'relay')
+ * @property {number} kind - Address kind (ADDRESS_IPV4, ADDRESS_IPV6 or ADDRESS_MDNS)
+ * @property {number[]} address - Packed address bytes
+ * @property {number} port - UDP port
+ */
+
+const FORMAT_VERSION = 1;
+const SIGNAL_TYPES = ['offer', 'answer'];
+const SETUP_ROLES = ['actpass', 'active', 'passive'];
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const TYPE_PREFERENCES = { host: 126, prflx: 110, srflx: 100, relay: 0 };
+const FINGERPRINT_LENGTH = 32;
+
+const ADDRESS_IPV4 = 0;
+const ADDRESS_IPV6 = 1;
+const ADDRESS_MDNS = 2;
+
+const MDNS_PATTERN =
+  /^([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})\.local$/i;
+
+/**
+ * Check whether text looks like a compact signal rather than JSON or raw SDP
+ * @param {string} text - The signaling text
+ * @returns {boolean} Whether the text is a compact signal
+ */
+export function isCompactSignal(text) {
+  return /^[A-Za-z0-9_-]+$/.test(text.trim());
+}
+
+/**
+ * Parse signaling text in either the compact or the JSON format
+ * @param {string} text - The signaling text
+ * @returns {SignalData} The signaling data
+ * @throws {Error} If the text is neither a valid compact signal nor JSON
+ */
+export function parseSignal(text) {
+  return isCompactSignal(text) ? decodeSignal(text) : JSON.parse(text);
+}
+
+/**
+ * Encode signaling data compactly. Falls back to JSON when the SDP uses something the
+ * compact format can't express, e.g. a fingerprint hash other than SHA-256.
+ * @param {SignalData} signal - The offer or answer with its ICE candidates
+ * @returns {string} The encoded signal
+ */
+export function encodeSignal(signal) {
+  const lines = signal.sdp.split(/\r?\n/);
+  const attribute = name =>
+    lines.find(line => line.startsWith(`a=${name}:`))?.slice(name.length + 3);
+
+  const ufrag = attribute('ice-ufrag');
+  const pwd = attribute('ice-pwd');
+  const fingerprint = parseFingerprint(attribute('fingerprint'));
+  const typeIndex = SIGNAL_TYPES.indexOf(signal.type);
+  const setupIndex = SETUP_ROLES.indexOf(attribute('setup'));
+
+  const fitsInByte = text => text.length <= 255;
+
+  if (
+    !ufrag ||
+    !pwd ||
+    !fitsInByte(ufrag) ||
+    !fitsInByte(pwd) ||
+    !fingerprint ||
+    typeIndex < 0 ||
+    setupIndex < 0
+  ) {
+    console.warn('Signal cannot be compacted, falling back to JSON');
+    return JSON.stringify(signal);
+  }
+
+  // Candidates may be in the SDP (gathering finished) or trickled separately
+  const candidateLines = [
+    ...lines.filter(line => line.startsWith('a=candidate:')).map(line => line.slice(2)),
+    ...(signal.iceCandidates ?? []).map(candidate => candidate?.candidate),
+  ];
+  const candidates = uniqueCandidates(candidateLines.filter(Boolean).map(parseCandidate));
+
+  const bytes = [(FORMAT_VERSION << 4) | (typeIndex << 2) | setupIndex];
+  pushString(bytes, ufrag);
+  pushString(bytes, pwd);
+  bytes.push(...fingerprint);
+  bytes.push(candidates.length);
+  candidates.forEach(candidate => {
+    bytes.push((CANDIDATE_TYPES.indexOf(candidate.type) << 2) | candidate.kind);
+    bytes.push(...candidate.address);
+    bytes.push(candidate.port >> 8, candidate.port & 0xff);
+  });
+
+  return toBase64Url(Uint8Array.from(bytes));
+}
+
+/**
+ * Decode a compact signal and rebuild a valid SDP and ICE candidate list
+ * @param {string} text - The compact signal
+ * @returns {SignalData} The offer or answer with its ICE candidates
+ * @throws {Error} If the text is not a valid compact signal
+ */
+export function decodeSignal(text) {
+  let bytes;
+  try {
+    bytes = fromBase64Url(text.trim());
+  } catch (error) {
+    throw new Error('Invalid connection code');
+  }
+
+  let offset = 0;
+  const readBytes = length => {
+    if (offset + length > bytes.length) {
+      throw new Error('Invalid connection code: data is truncated');
+    }
+    const slice = Array.from(bytes.subarray(offset, offset + length));
+    offset += length;
+    return slice;
+  };
+  const readByte = () => readBytes(1)[0];
+  const readString = () => String.fromCharCode(...readBytes(readByte()));
+
+  const header = readByte();
+  if (header >> 4 !== FORMAT_VERSION) {
+    throw new Error(`Unsupported connection code version: ${header >> 4}`);
+  }
+
+  const type = SIGNAL_TYPES[(header >> 2) & 0x3];
+  const setup = SETUP_ROLES[header & 0x3];
+  if (!type || !setup) {
+    throw new Error('Invalid connection code');
+  }
+
+  const ufrag = readString();
+  const pwd = readString();
+  const fingerprint = readBytes(FINGERPRINT_LENGTH);
+
+  const iceCandidates = [];
+  const candidateCount = readByte();
+  for (let i = 0; i < candidateCount; i++) {
+    const flags = readByte();
+    const candidateType = CANDIDATE_TYPES[flags >> 2];
+    if (!candidateType) {
+      throw new Error('Invalid connection code: unknown candidate type');
+    }
+
+    const kind = flags & 0x3;
+    const address = unpackAddress(kind, readBytes(kind === ADDRESS_IPV4 ? 4 : 16));
+    const port = (readByte() << 8) | readByte();
+
+    iceCandidates.push({
+      candidate: formatCandidate(i, candidateType, address, port),
+      sdpMid: '0',
+      sdpMLineIndex: 0,
+    });
+  }
+
+  return {
+    type,
+    sdp: buildSdp({ ufrag, pwd, fingerprint, setup }),
+    iceCandidates,
+  };
+}
+
+/**
+ * Rebuild a data-channel-only SDP from the compact fields
+ * @param {Object} description - The compact session description
+ * @param {string} description.ufrag - ICE username fragment
+ * @param {string} description.pwd - ICE password
+ * @param {number[]} description.fingerprint - SHA-256 DTLS fingerprint bytes
+ * @param {string} description.setup - DTLS setup role
+ * @returns {string} The SDP
+ */
+function buildSdp({ ufrag, pwd, fingerprint, setup }) {
+  const fingerprintHex = fingerprint
+    .map(byte => byte.toString(16).padStart(2, '0').toUpperCase())
+    .join(':');
+
+  return [
+    'v=0',
+    `o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    `a=ice-ufrag:${ufrag}`,
+    `a=ice-pwd:${pwd}`,
+    'a=ice-options:trickle',
+    `a=fingerprint:sha-256 ${fingerprintHex}`,
+    `a=setup:${setup}`,
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Parse a SHA-256 fingerprint attribute value into bytes
+ * @param {string} [value] - Attribute value, e.g. 'sha-256 AB:CD:...'
+ * @returns {number[]|null} The fingerprint bytes, or null if not a SHA-256 fingerprint
+ */
+function parseFingerprint(value) {
+  const [algorithm, hex] = value?.split(' ') ?? [];
+  if (algorithm?.toLowerCase() !== 'sha-256' || !hex) {
+    return null;
+  }
+
+  const bytes = hex.split(':').map(pair => parseInt(pair, 16));
+  return bytes.length === FINGERPRINT_LENGTH && bytes.every(byte => byte >= 0) ? bytes : null;
+}
+
+/**
+ * Parse an ICE candidate line into its compact form
+ * @param {string} line - Candidate line, e.g. 'candidate:1 1 udp 2122260223 192.0.2.1 5000 typ host'
+ * @returns {CompactCandidate|null} The compact candidate, or null if it can't be expressed
+ */
+function parseCandidate(line) {
+  const [, component, protocol, , address, port, , type] = line.split(' ');
+
+  // Data channels use rtcp-mux, so only component 1 over UDP matters
+  if (component !== '1' || protocol?.toLowerCase() !== 'udp' || !CANDIDATE_TYPES.includes(type)) {
+    return null;
+  }
+
+  const packed = packAddress(address);
+  return packed ? { type, kind: packed.kind, address: packed.bytes, port: Number(port) } : null;
+}
+
+/**
+ * Drop unusable and duplicate candidates, keeping at most 255
+ * @param {Array<CompactCandidate|null>} candidates - Parsed candidates
+ * @returns {CompactCandidate[]} The unique candidates
+ */
+function uniqueCandidates(candidates) {
+  const seen = new Set();
+
+  return candidates
+    .filter(candidate => {
+      if (!candidate) return false;
+
+      const key = `${candidate.type} ${candidate.address.join('.')} ${candidate.port}`;
+      if (seen.has(key)) return false;
+
+      seen.add(key);
+      return true;
+    })
+    .slice(0, 255);
+}
+
+/**
+ * Rebuild an ICE candidate line
+ * @param {number} index - Candidate index, used for the foundation and local preference
+ * @param {string} type - Candidate type
+ * @param {string} address - Candidate address
+ * @param {number} port - Candidate port
+ * @returns {string} The candidate line
+ */
+function formatCandidate(index, type, address, port) {
+  // RFC 8445 priority: type preference, then local preference, then component
+  const priority = TYPE_PREFERENCES[type] * 2 ** 24 + (65535 - index) * 2 ** 8 + 255;
+  const related = type === 'host' ? '' : ' raddr 0.0.0.0 rport 0';
+
+  return `candidate:${index + 1} 1 udp ${priority} ${address} ${port} typ ${type}${related}`;
+}
+
+/**
+ * Pack a candidate address into bytes
+ * @param {string} address - IPv4, IPv6 or mDNS (UUID.local) address
+ * @returns {{ kind: number, bytes: number[] }|null} The packed address, or null if unsupported
+ */
+function packAddress(address = '') {
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    const bytes = address.split('.').map(Number);
+    return bytes.every(byte => byte <= 255) ? { kind: ADDRESS_IPV4, bytes } : null;
+  }
+
+  const mdns = address.match(MDNS_PATTERN);
+  if (mdns) {
+    return { kind: ADDRESS_MDNS, bytes: hexToBytes(mdns.slice(1).join('')) };
+  }
+
+  const groups = expandIPv6(address);
+  if (groups) {
+    return { kind: ADDRESS_IPV6, bytes: groups.flatMap(group => [group >> 8, group & 0xff]) };
+  }
+
+  return null;
+}
+
+/**
+ * Unpack candidate address bytes
+ * @param {number} kind - Address kind
+ * @param {number[]} bytes - Packed address bytes
+ * @returns {string} The address
+ */
+function unpackAddress(kind, bytes) {
+  if (kind === ADDRESS_IPV4) {
+    return bytes.join('.');
+  }
+
+  const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+  if (kind === ADDRESS_MDNS) {
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}.local`;
+  }
+
+  if (kind === ADDRESS_IPV6) {
+    return hex.match(/.{4}/g).join(':');
+  }
+
+  throw new Error(`Invalid connection code: unknown address kind ${kind}`);
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, possibly using :: shorthand
+ * @returns {number[]|null} The groups, or null if the address is not plain IPv6
+ */
+function expandIPv6(address) {
+  if (!address.includes(':') || !/^[0-9a-f:]+$/i.test(address)) {
+    return null;
+  }
+
+  const [head, tail, ...rest] = address.split('::');
+  if (rest.length) return null;
+
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+
+  if (missing < 0 || (tail === undefined && missing !== 0)) {
+    return null;
+  }
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group =>
+    parseInt(group, 16)
+  );
+}
+
+/**
+ * Convert a hex string into bytes
+ * @param {string} hex - Hex string with an even number of digits
+ * @returns {number[]} The bytes
+ */
+function hexToBytes(hex) {
+  return hex.match(/.{2}/g).map(pair => parseInt(pair, 16));
+}
+
+/**
+ * Append a length-prefixed ASCII string to a byte array
+ * @param {number[]} bytes - Byte array to append to
+ * @param {string} text - ASCII string, at most 255 characters
+ */
+function pushString(bytes, text) {
+  bytes.push(text.length, ...Array.from(text, char => char.charCodeAt(0)));
+}
@@ -1,9 +1,16 @@
 /**
  * @typedef {Object} GameSettings
- * @property {number} winScore - The score needed to win the game
+ * @property {number} winScore - The points needed to win a game
+ * @property {number} winBy - The margin a game must be won by (2 for deuce rules)
+ * @property {number} bestOf - The number of games in a match (best of N)
  * @property {number} initialBallSpeed - The initial speed of the ball
  * @property {number} ballSpeedIncrement - How much the ball speed increases after each volley
  * @property {number} maxBallSpeed - The maximum speed the ball can reach
+ * @property {number} paddleWidth - Width of both paddles
+ * @property {number} paddleHeight - Height of both paddles
+ * @property {number} ballRadius - Radius of the ball
+ * @property {number} instantReplay - Seconds of each rally's end shown again in slow motion
+ *   after a point, 0 for none
  */
 
 /**
@@ -27,7 +34,8 @@
 /**
  * @typedef {Object} Player
  * @property {Paddle} paddle - The player's paddle
- * @property {number} score - Current score
+ * @property {number} score - Points in the current game
+ * @property {number} games - Games won in the match
  * @property {boolean} isHost - Whether this player is the host
  */
 
@@ -41,16 +49,100 @@
  * @property {GameSettings} settings - Game settings
  */
 
+/**
+ * @typedef {Object} MatchScore
+ * @property {number} localPoints - Local player's points in the current game
+ * @property {number} remotePoints - Remote player's points in the current game
+ * @property {number} localGames - Games won by the local player
+ * @property {number} remoteGames - Games won by the remote player
+ */
+
+/**
+ * @typedef {Object} AIDifficulty
+ * @property {number} reactionDelay - Seconds between the AI re-reading the ball's path
+ * @property {number} maxPaddleSpeed - Maximum paddle speed in field units per second
+ * @property {number} predictionError - Maximum error in the predicted intercept, in field units
+ */
+
+/**
+ * One entry in a replay timeline: the tick it happened on, the event type from
+ * REPLAY_EVENTS in game/replay.js, then the event's values
+ * @typedef {[number, string, ...number[]]} ReplayEvent
+ */
+
+/**
+ * A recorded match, from the recording player's perspective (their paddle at the bottom)
+ * @typedef {Object} Replay
+ * @property {number} version - Replay format version
+ * @property {string} recordedAt - When the match started, as an ISO date
+ * @property {number} seed - Seed the match was played with
+ * @property {boolean} isHost - Whether the recording player was the host
+ * @property {boolean} isPractice - Whether the match was against the AI
+ * @property {number} tickRate - Simulation ticks per second
+ * @property {GameSettings} settings - Match settings
+ * @property {ReplayEvent[]} events - Timeline, in tick order
+ * @property {{ tick: number, localWon: boolean }|null} result - How the match ended, if it did
+ */
+
+/**
+ * Something the player can do, whichever device it comes from
+ * @typedef {'moveLeft'|'moveRight'|'setPosition'|'pause'|'ready'} InputAction
+ */
+
+/**
+ * Keys and gamepad buttons bound to each action. Keys are KeyboardEvent.code values, buttons
+ * are indexes in the standard gamepad mapping.
+ * @typedef {Object} InputBindings
+ * @property {Record<string, string[]>} keyboard - Keys by action
+ * @property {Record<string, number[]>} gamepad - Gamepad buttons by action
+ */
+
+/**
+ * @typedef {Object} RenderInterpolation
+ * @property {Ball} previousBall - Ball state at the start of the last simulation tick
+ * @property {number} alpha - Blend factor (0-1) between the previous and current ball state
+ */
+
+/**
+ * @typedef {string|ArrayBuffer|ArrayBufferView} TransportData
+ */
+
+/**
+ * A bidirectional message channel between two players
+ * @typedef {Object} Transport
+ * @property {(data: TransportData) => void} send - Send data to the remote side
+ * @property {(data: TransportData) => void} [sendUnreliable] - Send data that may be dropped or
+ *   reordered, for latest-wins updates. Transports without it use send for everything.
+ * @property {(callback: (data: TransportData) => void) => void} onMessage - Set the callback for incoming data
+ * @property {(callback: () => void) => void} onOpen - Set the callback for when the channel opens
+ * @property {(callback: () => void) => void} onClose - Set the callback for when the channel closes
+ * @property {() => void} close - Close the channel
+ */
+
 /**
  * @typedef {Object} ConnectionData
  * @property {string} type - Type of connection data ('offer' or 'answer')
  * @property {Object} data - The WebRTC connection data
  */
 
+/**
+ * @typedef {Object} IceCandidateData
+ * @property {string} candidate - The ICE candidate line
+ * @property {string} [sdpMid] - Media stream ID the candidate belongs to
+ * @property {number} [sdpMLineIndex] - Index of the media description the candidate belongs to
+ */
+
+/**
+ * @typedef {Object} SignalData
+ * @property {string} type - Type of signal ('offer' or 'answer')
+ * @property {string} sdp - The session description
+ * @property {IceCandidateData[]} [iceCandidates] - ICE candidates gathered so far
+ */
+
 /**
  * @typedef {Object} GameMessage
- * @property {string} type - Type of message ('ball', 'score', 'start', 'pause', 'resume', 'gameOver')
- * @property {Object} data - The message data
+ * @property {string} type - Type of message, one of the types defined in network/protocol.js
+ * @property {Object} [data] - The message data, validated against the protocol
  */
 
 export {};